@@ -17,7 +17,14 @@ const config = {
     batchSize: parseInt(process.env.BATCH_SIZE) || 100,
     logLevel: process.env.LOG_LEVEL || 'info',
     logFile: process.env.LOG_FILE || 'logs/migration.log',
-    cacheTtlMinutes: parseInt(process.env.CACHE_TTL_MINUTES) || 60
+    cacheTtlMinutes: parseInt(process.env.CACHE_TTL_MINUTES) || 60,
+    // Incremental HubSpot fetches re-list record IDs this often to drop deleted, archived and merged records
+    incrementalIdRefreshHours: parseInt(process.env.INCREMENTAL_ID_REFRESH_HOURS) || 24,
+    maxRetries: parseInt(process.env.API_MAX_RETRIES) || 5,
+    retryBaseDelay: parseInt(process.env.API_RETRY_BASE_DELAY) || 1000,
+    retryMaxDelay: parseInt(process.env.API_RETRY_MAX_DELAY) || 60000,
+    activecampaignRequestsPerSecond: parseInt(process.env.ACTIVECAMPAIGN_REQUESTS_PER_SECOND) || 5,
+    defaultPhoneRegion: process.env.DEFAULT_PHONE_REGION || 'US'
   }
 };
 
@@ -0,0 +1,13 @@
+// ActiveCampaign custom field → HubSpot property mapping used by the gap analyzer
+// Keys are ActiveCampaign field titles (contact fields from /api/3/fields, deal fields from
+// /api/3/dealCustomFieldMeta); values are HubSpot internal property names.
+// Mapped HubSpot properties are fetched automatically.
+module.exports = {
+  contacts: {
+    // 'Lead Source': 'lead_source',
+    // 'Industry': 'industry'
+  },
+  deals: {
+    // 'Contract Length': 'contract_length'
+  }
+};
@@ -0,0 +1,14 @@
+// How email addresses are normalized before contacts are matched or grouped as duplicates.
+// Emails are always trimmed and lowercased.
+module.exports = {
+  // "jane+newsletter@acme.com" → "jane@acme.com"
+  stripPlusAddressing: true,
+  // "jane.doe@gmail.com" → "janedoe@gmail.com" (Gmail ignores dots; other providers don't)
+  foldGmailDots: false,
+  // Domains that deliver to the same mailbox; the key is rewritten to the value
+  domainAliases: {
+    'googlemail.com': 'gmail.com'
+  },
+  // ActiveCampaign contact custom fields (by title) holding secondary email addresses
+  activeCampaignSecondaryEmailFields: []
+};
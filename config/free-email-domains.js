@@ -0,0 +1,16 @@
+// Free-mail and ISP domains left out of contact ↔ company domain checks: a gmail.com contact
+// doesn't belong to a company whose domain happens to be gmail.com. Add providers common in your data.
+module.exports = {
+  domains: [
+    'gmail.com', 'googlemail.com',
+    'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'ymail.com', 'rocketmail.com',
+    'hotmail.com', 'hotmail.co.uk', 'outlook.com', 'live.com', 'msn.com',
+    'icloud.com', 'me.com', 'mac.com',
+    'aol.com', 'aim.com',
+    'proton.me', 'protonmail.com', 'pm.me',
+    'gmx.com', 'gmx.de', 'gmx.net', 'web.de',
+    'mail.com', 'zoho.com', 'yandex.com', 'yandex.ru', 'mail.ru',
+    'fastmail.com', 'hey.com', 'tutanota.com',
+    'comcast.net', 'verizon.net', 'att.net', 'sbcglobal.net', 'btinternet.com', 'qq.com', '163.com'
+  ]
+};
@@ -0,0 +1,46 @@
+// HubSpot properties fetched and analyzed for each object type
+// Add custom properties here so they are cached and available to the analyzers.
+// Run with --all-properties to fetch every property discovered via the properties API instead.
+module.exports = {
+  // Properties requested from HubSpot for each object type
+  properties: {
+    contacts: [
+      'email', 'firstname', 'lastname', 'phone', 'company',
+      'createdate', 'lastmodifieddate', 'hs_object_id',
+      'lifecyclestage', 'hubspotscore', 'jobtitle', 'website',
+      'city', 'state', 'country', 'hubspot_owner_id',
+      'hs_additional_emails'
+    ],
+    companies: [
+      'name', 'domain', 'website', 'phone', 'city', 'state',
+      'createdate', 'lastmodifieddate', 'industry', 'numberofemployees',
+      'hubspot_owner_id'
+    ],
+    deals: [
+      'dealname', 'amount', 'dealstage', 'pipeline',
+      'createdate', 'lastmodifieddate', 'closedate', 'dealtype',
+      'hubspot_owner_id'
+    ],
+    tickets: [
+      'subject', 'content', 'hs_pipeline', 'hs_pipeline_stage',
+      'hs_ticket_priority', 'createdate', 'hs_lastmodifieddate'
+    ],
+    line_items: [
+      'name', 'quantity', 'price', 'amount', 'hs_product_id',
+      'createdate', 'hs_lastmodifieddate'
+    ],
+    products: [
+      'name', 'description', 'price', 'hs_sku',
+      'createdate', 'hs_lastmodifieddate'
+    ]
+    // Custom objects are keyed by objectTypeId, e.g. '2-1234567': ['order_id', 'order_total']
+    // Custom objects without an entry here fetch every property
+  },
+
+  // Properties checked by the empty field analysis in the gap analyzer
+  emptyFieldChecks: {
+    contacts: ['firstname', 'lastname', 'phone', 'company', 'jobtitle', 'website', 'city', 'state'],
+    companies: ['name', 'domain', 'website', 'phone', 'city', 'state', 'industry', 'numberofemployees'],
+    deals: ['dealname', 'amount', 'dealstage', 'closedate', 'dealtype']
+  }
+};
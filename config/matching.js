@@ -0,0 +1,48 @@
+// Record matching settings: deal pairing when the ID crosswalk has no entry, fuzzy duplicate detection
+// and duplicate clustering.
+module.exports = {
+  deals: {
+    // Relative weight of each signal; signals missing on either side are left out of the score
+    weights: {
+      title: 0.4,        // Title similarity
+      amount: 0.2,       // Deal value (ActiveCampaign stores cents)
+      createdDate: 0.1,  // Days between the created dates
+      contact: 0.2,      // Shared associated contact email
+      organization: 0.1  // Same organization / company name
+    },
+    // Pairs scoring at least this are matched automatically
+    minConfidence: 0.75,
+    // Best candidates between reviewConfidence and minConfidence are reported as low-confidence matches
+    reviewConfidence: 0.5,
+    // A rival candidate within this margin of the best score makes the match ambiguous
+    ambiguityMargin: 0.05,
+    // Created dates further apart than this score 0
+    maxCreatedDateDays: 30,
+    // Candidates share a title word or contact email. Words listed here, and words or emails shared
+    // by more than maxBlockSize HubSpot deals, are too common to pick candidates by.
+    titleStopwords: [
+      'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with',
+      'co', 'company', 'corp', 'inc', 'llc', 'ltd',
+      'deal', 'new', 'renewal', 'upgrade', 'contract', 'project', 'services', 'annual', 'monthly'
+    ],
+    maxBlockSize: 200
+  },
+  duplicates: {
+    // Minimum similarity for two different contact or company names to be reported as duplicates
+    // (override with --similarity-threshold)
+    threshold: 0.9,
+    // Names are only compared within blocks (e.g. last name prefix + first initial); larger blocks are skipped
+    maxBlockSize: 1000
+  },
+  clusters: {
+    // Confidence that one piece of evidence links two records; fuzzy name evidence is scaled by its similarity
+    evidenceWeights: {
+      contacts: { email: 0.95, company_and_name: 0.85, phone: 0.75, name: 0.5 },
+      companies: { domain: 0.95, name: 0.75 },
+      deals: { company_and_name: 0.85, name: 0.75 }
+    },
+    // Clusters at or above these confidences are HIGH / MEDIUM priority in the CSV (LOW otherwise)
+    highConfidence: 0.9,
+    mediumConfidence: 0.7
+  }
+};
@@ -0,0 +1,21 @@
+// Duplicate merge settings used by scripts/merge-duplicates.js.
+module.exports = {
+  // Survivorship rules picking the primary record of each cluster, applied in order: a later rule
+  // only breaks ties left by the earlier ones, and the lowest record ID breaks any remaining tie.
+  //   oldest_createdate      earliest createdate
+  //   highest_hubspotscore   highest hubspotscore (contacts)
+  //   most_associations      most associated records of the types in associationTypes
+  survivorship: {
+    contacts: ['oldest_createdate', 'highest_hubspotscore', 'most_associations'],
+    companies: ['oldest_createdate', 'most_associations'],
+    deals: ['oldest_createdate', 'most_associations']
+  },
+  // Association types counted by most_associations
+  associationTypes: {
+    contacts: ['companies', 'deals'],
+    companies: ['contacts', 'deals'],
+    deals: ['contacts', 'companies']
+  },
+  // Only clusters at or above this confidence are planned (override with --min-confidence)
+  minConfidence: 0.9
+};
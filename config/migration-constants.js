@@ -31,9 +31,18 @@ module.exports = {
   },
 
   // Deal status helper functions
-  getHubSpotDealStatus(stage) {
+  // Pass the stage map from HubSpotAPI.getDealStageMap() to resolve custom pipelines with numeric stage IDs
+  getHubSpotDealStatus(stage, stageMap = null) {
     if (!stage) return 'unknown';
+
+    // Prefer pipeline metadata: closed stages with a non-zero probability are won, the rest lost
+    const stageInfo = stageMap?.[stage];
+    if (stageInfo) {
+      if (!stageInfo.isClosed) return 'open';
+      return stageInfo.probability > 0 ? 'won' : 'lost';
+    }
     
+    // Fallback when no metadata is available: guess from the stage ID
     const lowerStage = stage.toLowerCase();
     if (lowerStage.includes('closedwon') || lowerStage.includes('won')) return 'won';
     if (lowerStage.includes('closedlost') || lowerStage.includes('lost')) return 'lost';
@@ -0,0 +1,47 @@
+// First-name variants treated as the same person by the duplicate analyzer.
+// The first name in each group is the canonical form; add groups for names common in your data.
+module.exports = {
+  groups: [
+    ['alexander', 'alex', 'al', 'sasha'],
+    ['alexandra', 'alex', 'alexa', 'sandra', 'sasha'],
+    ['andrew', 'andy', 'drew'],
+    ['anthony', 'tony'],
+    ['benjamin', 'ben', 'benny'],
+    ['catherine', 'cathy', 'kate', 'katie', 'kathy', 'katherine', 'kathryn'],
+    ['charles', 'charlie', 'chuck', 'chas'],
+    ['christopher', 'chris', 'topher'],
+    ['daniel', 'dan', 'danny'],
+    ['david', 'dave', 'davy'],
+    ['deborah', 'debbie', 'deb', 'debra'],
+    ['edward', 'ed', 'eddie', 'ted', 'ned'],
+    ['elizabeth', 'liz', 'beth', 'betty', 'lizzie', 'eliza'],
+    ['gregory', 'greg'],
+    ['james', 'jim', 'jimmy', 'jamie'],
+    ['jennifer', 'jen', 'jenny'],
+    ['jessica', 'jess', 'jessie'],
+    ['john', 'johnny', 'jack'],
+    ['jonathan', 'jon', 'jonny'],
+    ['joseph', 'joe', 'joey'],
+    ['joshua', 'josh'],
+    ['kenneth', 'ken', 'kenny'],
+    ['lawrence', 'larry'],
+    ['margaret', 'maggie', 'meg', 'peggy', 'marge'],
+    ['matthew', 'matt'],
+    ['michael', 'mike', 'mikey', 'mick'],
+    ['nicholas', 'nick', 'nicky'],
+    ['patricia', 'pat', 'patty', 'trish'],
+    ['patrick', 'pat', 'paddy'],
+    ['peter', 'pete'],
+    ['rebecca', 'becky', 'becca'],
+    ['richard', 'rick', 'ricky', 'dick', 'rich'],
+    ['robert', 'rob', 'bob', 'bobby', 'robbie', 'bert'],
+    ['samuel', 'sam', 'sammy'],
+    ['samantha', 'sam', 'sammy'],
+    ['stephen', 'steve', 'steven', 'stevie'],
+    ['susan', 'sue', 'susie', 'suzanne'],
+    ['thomas', 'tom', 'tommy'],
+    ['timothy', 'tim', 'timmy'],
+    ['victoria', 'vicky', 'tori'],
+    ['william', 'will', 'bill', 'billy', 'willy', 'liam']
+  ]
+};
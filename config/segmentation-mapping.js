@@ -0,0 +1,20 @@
+// ActiveCampaign tag / list → HubSpot segmentation mapping used by the gap analyzer
+// Keys are tag names (tags) and list names (lists). Each target is either a HubSpot contact
+// property value ({ property, value }; multi-select properties match if they contain the value)
+// or a HubSpot list membership ({ listId }). Mapped properties are fetched automatically.
+// subscriptionTypes maps list names to the HubSpot email subscription type (name or ID) that
+// replaces them, so unsubscribing from the list is checked against that type's opt-out.
+module.exports = {
+  tags: {
+    // 'VIP': { property: 'customer_tier', value: 'vip' },
+    // 'Webinar Attendee': { listId: '123' }
+  },
+  lists: {
+    // 'Newsletter': { listId: '45' },
+    // 'Customers': { property: 'lifecyclestage', value: 'customer' }
+  },
+  subscriptionTypes: {
+    // 'Newsletter': 'Marketing Information',
+    // 'Product Updates': '123456'
+  }
+};
@@ -0,0 +1,17 @@
+// ActiveCampaign → HubSpot deal stage mapping
+// Each entry maps an ActiveCampaign pipeline/stage to the HubSpot pipeline/stage its deals should be in.
+// Pipelines and stages can be given by name (case-insensitive) or by ID. Leave out `pipeline` to match
+// the stage name in any pipeline.
+// ActiveCampaign stages in use without an entry here are listed under "Unmapped Stages" in the gap report.
+module.exports = {
+  stages: [
+    // {
+    //   activeCampaign: { pipeline: 'Sales', stage: 'Qualified' },
+    //   hubspot: { pipeline: 'Sales Pipeline', stage: 'Qualified to buy' }
+    // },
+    // {
+    //   activeCampaign: { pipeline: 'Sales', stage: 'Won' },
+    //   hubspot: { pipeline: 'default', stage: 'closedwon' }
+    // }
+  ]
+};
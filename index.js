@@ -22,6 +22,7 @@ try {
   console.log('  npm run analyze      - Run duplicate analysis on HubSpot contacts');
   console.log('  npm run sync-check   - Check sync status with ActiveCampaign');
   console.log('  npm run gap-analysis - Compare data between HubSpot and ActiveCampaign');
+  console.log('  npm run merge-duplicates:dry-run - Plan merges of duplicate clusters found by analyze');
   console.log('  node scripts/[script-name].js - Run specific script');
   console.log('\nFirst time setup:');
   console.log('  1. Copy .env.example to .env');
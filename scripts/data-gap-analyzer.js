@@ -2,12 +2,21 @@ const axios = require('axios');
 const HubSpotAPI = require('../utils/hubspot-api');
 const ActiveCampaignAPI = require('../utils/activecampaign-api');
 const CSVReporter = require('../utils/csv-reporter');
+const OwnerMapper = require('../utils/owner-mapper');
 const FlagParser = require('../utils/flag-parser');
 const config = require('../config');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const { MIGRATION_DATE, isMigrationDate, getHubSpotDealStatus, getACDealStatus } = require('../config/migration-constants');
+const { emptyFieldChecks } = require('../config/hubspot-properties');
+const stageMapping = require('../config/stage-mapping');
+const customFieldMapping = require('../config/custom-field-mapping');
+const segmentationMapping = require('../config/segmentation-mapping');
+const { normalizeCompanyName, normalizeDomain, normalizePhone, normalizeEmail } = require('../utils/normalize');
+const IdCrosswalk = require('../utils/id-crosswalk');
+const { matchContactsByEmail, matchCompaniesByDomainOrName, hubspotContactEmails, activeCampaignContactEmails } = require('../utils/record-matchers');
+const DealMatcher = require('../utils/deal-matcher');
 
 class DataGapAnalyzer {
   constructor(options = {}) {
@@ -23,14 +32,19 @@ class DataGapAnalyzer {
       cache: options.cache,
       flushCache: options.flushCache,
       cacheTtl: options.cacheTtl,
-      cacheDir: options.cacheDir
+      cacheDir: options.cacheDir,
+      incremental: options.incremental,
+      allProperties: options.allProperties,
+      strict: options.strict
     });
     
     this.activeCampaignAPI = new ActiveCampaignAPI({
       cache: options.cache,
       flushCache: options.flushCache,
       cacheTtl: options.cacheTtl,
-      cacheDir: options.cacheDir
+      cacheDir: options.cacheDir,
+      incremental: options.incremental,
+      strict: options.strict
     });
     
     this.csvReporter = new CSVReporter();
@@ -40,14 +54,32 @@ class DataGapAnalyzer {
     this.hubspotDeals = [];
     this.acContacts = [];
     this.acDeals = [];
+    this.acAccounts = [];
+    this.dealStages = {};
+    this.acDealStages = {};
+    this.ownerMapper = null;
+    this.acSegments = null;
+    this.acActivityCounts = null;
+    this.idCrosswalk = new IdCrosswalk();
+    this.contactMatches = { pairs: [], unmatchedActiveCampaign: [], unmatchedHubSpot: [], excludedActiveCampaign: [] };
+    this.dealMatches = { pairs: [], unmatchedActiveCampaign: [], unmatchedHubSpot: [], excludedActiveCampaign: [] };
     this.gaps = {
       contacts: {
         missingInHubSpot: [],
         missingInActiveCampaign: [],
         fieldMismatches: [],
+        invalidPhones: [],
+        ownerMismatches: [],
+        customFieldMismatches: [],
+        segmentationIssues: [],
+        consentViolations: [],
+        activityGaps: [],
         emptyFields: []
       },
       companies: {
+        missingInHubSpot: [],
+        missingInActiveCampaign: [],
+        fieldMismatches: [],
         emptyFields: []
       },
       deals: {
@@ -55,10 +87,23 @@ class DataGapAnalyzer {
         missingInHubSpot: [],
         missingInActiveCampaign: [],
         statusMismatches: [],
+        stageMismatches: [],
+        unmappedStages: [],
         dateMismatches: [],
         valueMismatches: [],
-        migrationIssues: []
-      }
+        migrationIssues: [],
+        associationIssues: [],
+        ambiguousMatches: [],
+        lowConfidenceMatches: [],
+        ownerMismatches: [],
+        customFieldMismatches: [],
+        activityGaps: []
+      },
+      owners: {
+        unmatchedUsers: []
+      },
+      // ActiveCampaign datasets that were only partially fetched
+      incompleteData: []
     };
   }
 
@@ -94,43 +139,50 @@ class DataGapAnalyzer {
     return this.acContacts;
   }
 
+  async getActiveCampaignAccounts() {
+    if (!this.options.includeCompanies) return [];
+    this.acAccounts = await this.activeCampaignAPI.getAllAccounts();
+    return this.acAccounts;
+  }
+
   analyzeContactGaps() {
     logger.info('Analyzing contact gaps between platforms...');
     
-    // Create email-based lookup maps
-    const hubspotByEmail = new Map();
-    const acByEmail = new Map();
-    
-    this.hubspotContacts.forEach(contact => {
-      const email = contact.properties.email?.toLowerCase();
-      if (email) {
-        hubspotByEmail.set(email, contact);
-      }
-    });
-    
-    this.acContacts.forEach(contact => {
-      const email = contact.email?.toLowerCase();
-      if (email) {
-        acByEmail.set(email, contact);
-      }
-    });
+    // Unpaired contacts with any normalized email (primary or secondary) on the other side are duplicates, not missing
+    const hubspotEmails = new Set(this.hubspotContacts.flatMap(hubspotContactEmails));
+    const acEmails = new Set(this.acContacts.flatMap(activeCampaignContactEmails));
+    const excluded = new Set(this.contactMatches.excludedActiveCampaign);
+    // Keyed by the normalized primary email, valued by its trimmed, lowercased original
+    const unmatchedByEmail = (records, getEmail, getEmails, otherEmails) => {
+      const byEmail = new Map();
+      records.forEach(record => {
+        const email = normalizeEmail(getEmail(record));
+        // Contacts manually marked as having no HubSpot record are always missing
+        if (email && (excluded.has(record) || !getEmails(record).some(other => otherEmails.has(other))) && !byEmail.has(email)) {
+          byEmail.set(email, { record, email: getEmail(record).trim().toLowerCase() });
+        }
+      });
+      return [...byEmail.values()];
+    };
     
     // Find contacts missing in HubSpot
-    acByEmail.forEach((contact, email) => {
-      if (!hubspotByEmail.has(email)) {
-        this.gaps.contacts.missingInHubSpot.push({
-          email: email,
-          firstName: contact.firstName,
-          lastName: contact.lastName,
-          phone: contact.phone,
-          createdDate: contact.cdate
-        });
-      }
+    unmatchedByEmail(this.contactMatches.unmatchedActiveCampaign, contact => contact.email, activeCampaignContactEmails, hubspotEmails).forEach(({ record: contact, email }) => {
+      this.gaps.contacts.missingInHubSpot.push({
+        email: email,
+        firstName: contact.firstName,
+        lastName: contact.lastName,
+        phone: contact.phone,
+        createdDate: contact.cdate
+      });
     });
     
-    // Find contacts missing in ActiveCampaign
-    hubspotByEmail.forEach((contact, email) => {
-      if (!acByEmail.has(email)) {
+    // Find contacts missing in ActiveCampaign - skipped when the AC contact list is incomplete
+    const acContactsIncomplete = this.isIncomplete('contacts');
+    if (acContactsIncomplete) {
+      logger.warn('Skipping "missing in ActiveCampaign" contacts - ActiveCampaign contacts are incomplete');
+    }
+    if (!acContactsIncomplete) {
+      unmatchedByEmail(this.contactMatches.unmatchedHubSpot, contact => contact.properties.email, hubspotContactEmails, acEmails).forEach(({ record: contact, email }) => {
         this.gaps.contacts.missingInActiveCampaign.push({
           email: email,
           firstName: contact.properties.firstname,
@@ -139,8 +191,8 @@ class DataGapAnalyzer {
           company: contact.properties.company,
           createdDate: contact.properties.createdate
         });
-      }
-    });
+      });
+    }
     
     logger.info(`Found ${this.gaps.contacts.missingInHubSpot.length} contacts missing in HubSpot`);
     logger.info(`Found ${this.gaps.contacts.missingInActiveCampaign.length} contacts missing in ActiveCampaign`);
@@ -149,58 +201,55 @@ class DataGapAnalyzer {
   analyzeFieldMismatches() {
     logger.info('Analyzing field mismatches...');
     
-    const hubspotByEmail = new Map();
-    this.hubspotContacts.forEach(contact => {
-      const email = contact.properties.email?.toLowerCase();
-      if (email) {
-        hubspotByEmail.set(email, contact);
+    this.contactMatches.pairs.forEach(({ acRecord: acContact, hsRecord: hsContact }) => {
+      const email = acContact.email?.trim().toLowerCase();
+      const mismatches = [];
+      const sameText = (a, b) => String(a ?? '').trim() === String(b ?? '').trim();
+      
+      // Compare names, ignoring surrounding whitespace
+      if (!sameText(acContact.firstName, hsContact.properties.firstname)) {
+        mismatches.push({
+          field: 'firstName',
+          activecampaign: acContact.firstName,
+          hubspot: hsContact.properties.firstname
+        });
       }
-    });
-    
-    this.acContacts.forEach(acContact => {
-      const email = acContact.email?.toLowerCase();
-      if (email && hubspotByEmail.has(email)) {
-        const hsContact = hubspotByEmail.get(email);
-        const mismatches = [];
-        
-        // Compare names
-        if (acContact.firstName !== hsContact.properties.firstname) {
-          mismatches.push({
-            field: 'firstName',
-            activecampaign: acContact.firstName,
-            hubspot: hsContact.properties.firstname
-          });
-        }
-        
-        if (acContact.lastName !== hsContact.properties.lastname) {
-          mismatches.push({
-            field: 'lastName',
-            activecampaign: acContact.lastName,
-            hubspot: hsContact.properties.lastname
-          });
-        }
-        
-        // Compare phone (normalized)
-        const acPhone = acContact.phone?.replace(/\D/g, '');
-        const hsPhone = hsContact.properties.phone?.replace(/\D/g, '');
-        if (acPhone && hsPhone && acPhone !== hsPhone) {
-          mismatches.push({
-            field: 'phone',
-            activecampaign: acContact.phone,
-            hubspot: hsContact.properties.phone
-          });
-        }
-        
-        if (mismatches.length > 0) {
-          this.gaps.contacts.fieldMismatches.push({
-            email: email,
-            mismatches: mismatches
-          });
+      
+      if (!sameText(acContact.lastName, hsContact.properties.lastname)) {
+        mismatches.push({
+          field: 'lastName',
+          activecampaign: acContact.lastName,
+          hubspot: hsContact.properties.lastname
+        });
+      }
+      
+      // Compare phone as E.164 - ActiveCampaign has no country, so the HubSpot country is the default region for both
+      const country = hsContact.properties.country;
+      const acPhone = normalizePhone(acContact.phone, country, config.settings.defaultPhoneRegion);
+      const hsPhone = normalizePhone(hsContact.properties.phone, country, config.settings.defaultPhoneRegion);
+      [['activecampaign', acContact.phone, acPhone], ['hubspot', hsContact.properties.phone, hsPhone]].forEach(([platform, raw, phone]) => {
+        if (phone && !phone.e164) {
+          this.gaps.contacts.invalidPhones.push({ email, platform, phone: raw, country: country || null });
         }
+      });
+      if (acPhone?.e164 && hsPhone?.e164 && acPhone.e164 !== hsPhone.e164) {
+        mismatches.push({
+          field: 'phone',
+          activecampaign: acContact.phone,
+          hubspot: hsContact.properties.phone
+        });
+      }
+      
+      if (mismatches.length > 0) {
+        this.gaps.contacts.fieldMismatches.push({
+          email: email,
+          mismatches: mismatches
+        });
       }
     });
     
     logger.info(`Found ${this.gaps.contacts.fieldMismatches.length} contacts with field mismatches`);
+    logger.info(`Found ${this.gaps.contacts.invalidPhones.length} unparseable phone numbers`);
   }
 
   analyzeEmptyFields() {
@@ -222,94 +271,37 @@ class DataGapAnalyzer {
     logger.info('Empty field analysis complete');
   }
 
-  analyzeContactEmptyFields() {
-    const emptyFieldCounts = {
-      firstname: 0,
-      lastname: 0,
-      phone: 0,
-      company: 0,
-      jobtitle: 0,
-      website: 0,
-      city: 0,
-      state: 0
-    };
-    
-    const emptyFieldExamples = {
-      firstname: [],
-      lastname: [],
-      phone: [],
-      company: [],
-      jobtitle: [],
-      website: [],
-      city: [],
-      state: []
-    };
-    
-    this.hubspotContacts.forEach(contact => {
-      Object.keys(emptyFieldCounts).forEach(field => {
-        if (!contact.properties[field] || contact.properties[field].trim() === '') {
-          emptyFieldCounts[field]++;
-          if (emptyFieldExamples[field].length < 5) {
-            emptyFieldExamples[field].push({
-              email: contact.properties.email,
-              id: contact.id
-            });
-          }
-        }
+  // Count empty values for each checked property and keep a few example records
+  summarizeEmptyFields(records, fields, describeRecord) {
+    return fields.map(field => {
+      const emptyRecords = records.filter(record => {
+        const value = record.properties[field];
+        return value === undefined || value === null || String(value).trim() === '';
       });
+
+      return {
+        field: field,
+        count: emptyRecords.length,
+        percentage: ((emptyRecords.length / records.length) * 100).toFixed(1),
+        examples: emptyRecords.slice(0, 5).map(describeRecord)
+      };
     });
-    
-    this.gaps.contacts.emptyFields = Object.keys(emptyFieldCounts).map(field => ({
-      field: field,
-      count: emptyFieldCounts[field],
-      percentage: ((emptyFieldCounts[field] / this.hubspotContacts.length) * 100).toFixed(1),
-      examples: emptyFieldExamples[field]
-    }));
+  }
+
+  analyzeContactEmptyFields() {
+    this.gaps.contacts.emptyFields = this.summarizeEmptyFields(
+      this.hubspotContacts,
+      emptyFieldChecks.contacts,
+      contact => ({ email: contact.properties.email, id: contact.id })
+    );
   }
 
   analyzeCompanyEmptyFields() {
-    const emptyFieldCounts = {
-      name: 0,
-      domain: 0,
-      website: 0,
-      phone: 0,
-      city: 0,
-      state: 0,
-      industry: 0,
-      numberofemployees: 0
-    };
-    
-    const emptyFieldExamples = {
-      name: [],
-      domain: [],
-      website: [],
-      phone: [],
-      city: [],
-      state: [],
-      industry: [],
-      numberofemployees: []
-    };
-    
-    this.hubspotCompanies.forEach(company => {
-      Object.keys(emptyFieldCounts).forEach(field => {
-        if (!company.properties[field] || company.properties[field].trim() === '') {
-          emptyFieldCounts[field]++;
-          if (emptyFieldExamples[field].length < 5) {
-            emptyFieldExamples[field].push({
-              name: company.properties.name,
-              id: company.id
-            });
-          }
-        }
-      });
-    });
-    
-    this.gaps.companies.emptyFields = Object.keys(emptyFieldCounts).map(field => ({
-      field: field,
-      count: emptyFieldCounts[field],
-      percentage: ((emptyFieldCounts[field] / this.hubspotCompanies.length) * 100).toFixed(1),
-      examples: emptyFieldExamples[field]
-    }));
+    this.gaps.companies.emptyFields = this.summarizeEmptyFields(
+      this.hubspotCompanies,
+      emptyFieldChecks.companies,
+      company => ({ name: company.properties.name, id: company.id })
+    );
   }
 
   filterMigrationDeals(deals) {
@@ -322,42 +314,11 @@ class DataGapAnalyzer {
   }
 
   analyzeDealEmptyFields() {
-    const emptyFieldCounts = {
-      dealname: 0,
-      amount: 0,
-      dealstage: 0,
-      closedate: 0,
-      dealtype: 0
-    };
-    
-    const emptyFieldExamples = {
-      dealname: [],
-      amount: [],
-      dealstage: [],
-      closedate: [],
-      dealtype: []
-    };
-    
-    this.hubspotDeals.forEach(deal => {
-      Object.keys(emptyFieldCounts).forEach(field => {
-        if (!deal.properties[field] || deal.properties[field].trim() === '') {
-          emptyFieldCounts[field]++;
-          if (emptyFieldExamples[field].length < 5) {
-            emptyFieldExamples[field].push({
-              name: deal.properties.dealname,
-              id: deal.id
-            });
-          }
-        }
-      });
-    });
-    
-    this.gaps.deals.emptyFields = Object.keys(emptyFieldCounts).map(field => ({
-      field: field,
-      count: emptyFieldCounts[field],
-      percentage: ((emptyFieldCounts[field] / this.hubspotDeals.length) * 100).toFixed(1),
-      examples: emptyFieldExamples[field]
-    }));
+    this.gaps.deals.emptyFields = this.summarizeEmptyFields(
+      this.hubspotDeals,
+      emptyFieldChecks.deals,
+      deal => ({ name: deal.properties.dealname, id: deal.id })
+    );
   }
 
   generateGapReport() {
@@ -368,19 +329,42 @@ class DataGapAnalyzer {
         hubspotDeals: this.hubspotDeals.length,
         activecampaignContacts: this.acContacts.length,
         activecampaignDeals: this.acDeals.length,
+        activecampaignAccounts: this.acAccounts.length,
         contactGaps: {
           missingInHubSpot: this.gaps.contacts.missingInHubSpot.length,
           missingInActiveCampaign: this.gaps.contacts.missingInActiveCampaign.length,
-          fieldMismatches: this.gaps.contacts.fieldMismatches.length
+          fieldMismatches: this.gaps.contacts.fieldMismatches.length,
+          invalidPhones: this.gaps.contacts.invalidPhones.length,
+          ownerMismatches: this.gaps.contacts.ownerMismatches.length,
+          customFieldMismatches: this.gaps.contacts.customFieldMismatches.length,
+          segmentationIssues: this.gaps.contacts.segmentationIssues.length,
+          consentViolations: this.gaps.contacts.consentViolations.length,
+          activityGaps: this.gaps.contacts.activityGaps.length
+        },
+        companyGaps: {
+          missingInHubSpot: this.gaps.companies.missingInHubSpot.length,
+          missingInActiveCampaign: this.gaps.companies.missingInActiveCampaign.length,
+          fieldMismatches: this.gaps.companies.fieldMismatches.length
         },
         dealGaps: {
           missingInHubSpot: this.gaps.deals.missingInHubSpot.length,
           missingInActiveCampaign: this.gaps.deals.missingInActiveCampaign.length,
           statusMismatches: this.gaps.deals.statusMismatches.length,
+          stageMismatches: this.gaps.deals.stageMismatches.length,
+          unmappedStages: this.gaps.deals.unmappedStages.length,
           dateMismatches: this.gaps.deals.dateMismatches.length,
           valueMismatches: this.gaps.deals.valueMismatches.length,
-          migrationIssues: this.gaps.deals.migrationIssues.length
+          migrationIssues: this.gaps.deals.migrationIssues.length,
+          associationIssues: this.gaps.deals.associationIssues.length,
+          ambiguousMatches: this.gaps.deals.ambiguousMatches.length,
+          lowConfidenceMatches: this.gaps.deals.lowConfidenceMatches.length,
+          ownerMismatches: this.gaps.deals.ownerMismatches.length,
+          customFieldMismatches: this.gaps.deals.customFieldMismatches.length,
+          activityGaps: this.gaps.deals.activityGaps.length
         },
+        unmatchedOwners: this.gaps.owners.unmatchedUsers.length,
+        complete: this.gaps.incompleteData.length === 0,
+        incompleteData: this.gaps.incompleteData,
         analyzedAt: new Date().toISOString()
       },
       gaps: this.gaps,
@@ -415,6 +399,15 @@ class DataGapAnalyzer {
       });
     }
     
+    if (this.gaps.contacts.consentViolations.length > 0) {
+      recommendations.push({
+        type: 'consent_violations',
+        priority: 'high',
+        message: `${this.gaps.contacts.consentViolations.length} contacts unsubscribed or bounced in ActiveCampaign but are not opted out in HubSpot`,
+        action: 'Opt these contacts out of all email, or of the mapped subscription types, in HubSpot before sending any marketing email'
+      });
+    }
+    
     if (this.gaps.contacts.fieldMismatches.length > 0) {
       recommendations.push({
         type: 'field_mismatches',
@@ -424,6 +417,33 @@ class DataGapAnalyzer {
       });
     }
     
+    if (this.gaps.contacts.invalidPhones.length > 0) {
+      recommendations.push({
+        type: 'invalid_phones',
+        priority: 'low',
+        message: `${this.gaps.contacts.invalidPhones.length} phone numbers could not be parsed and were not compared`,
+        action: 'Fix these numbers or set the HubSpot contact country'
+      });
+    }
+    
+    if (this.gaps.companies.missingInHubSpot.length > 0) {
+      recommendations.push({
+        type: 'missing_companies',
+        priority: 'high',
+        message: `${this.gaps.companies.missingInHubSpot.length} ActiveCampaign accounts have no matching HubSpot company`,
+        action: 'Consider importing these accounts as HubSpot companies'
+      });
+    }
+    
+    if (this.gaps.companies.fieldMismatches.length > 0) {
+      recommendations.push({
+        type: 'company_field_mismatches',
+        priority: 'medium',
+        message: `${this.gaps.companies.fieldMismatches.length} companies have different names or domains between platforms`,
+        action: 'Review and determine which platform has the most accurate company data'
+      });
+    }
+    
     // Contact empty fields
     this.gaps.contacts.emptyFields.forEach(field => {
       if (field.count > 0) {
@@ -464,6 +484,51 @@ class DataGapAnalyzer {
       });
     }
 
+    if (this.gaps.contacts.ownerMismatches.length > 0 || this.gaps.deals.ownerMismatches.length > 0) {
+      recommendations.push({
+        type: 'owner_mismatches',
+        priority: 'medium',
+        message: `${this.gaps.contacts.ownerMismatches.length} contacts and ${this.gaps.deals.ownerMismatches.length} deals have a HubSpot owner that doesn't match their ActiveCampaign owner`,
+        action: 'Reassign these records to the HubSpot owner mapped in data/owner-crosswalk.json'
+      });
+    }
+    
+    if (this.gaps.contacts.customFieldMismatches.length > 0 || this.gaps.deals.customFieldMismatches.length > 0) {
+      recommendations.push({
+        type: 'custom_field_mismatches',
+        priority: 'medium',
+        message: `${this.gaps.contacts.customFieldMismatches.length} contacts and ${this.gaps.deals.customFieldMismatches.length} deals have custom field values that differ from ActiveCampaign`,
+        action: 'Re-import the mapped custom fields from ActiveCampaign (see config/custom-field-mapping.js)'
+      });
+    }
+    
+    if (this.gaps.contacts.segmentationIssues.length > 0) {
+      recommendations.push({
+        type: 'segmentation_issues',
+        priority: 'medium',
+        message: `${this.gaps.contacts.segmentationIssues.length} ActiveCampaign tags/list subscriptions are not reflected in HubSpot`,
+        action: 'Set the mapped HubSpot property or add the contacts to the mapped list (see config/segmentation-mapping.js)'
+      });
+    }
+    
+    if (this.gaps.contacts.activityGaps.length > 0 || this.gaps.deals.activityGaps.length > 0) {
+      recommendations.push({
+        type: 'activity_gaps',
+        priority: 'medium',
+        message: `${this.gaps.contacts.activityGaps.length} contacts and ${this.gaps.deals.activityGaps.length} deals have fewer notes or tasks in HubSpot than in ActiveCampaign`,
+        action: 'Re-import the missing notes and tasks for these records'
+      });
+    }
+    
+    if (this.gaps.owners.unmatchedUsers.length > 0) {
+      recommendations.push({
+        type: 'unmatched_owners',
+        priority: 'medium',
+        message: `${this.gaps.owners.unmatchedUsers.length} ActiveCampaign users have no HubSpot owner with the same email`,
+        action: 'Create these users in HubSpot or add manual entries to data/owner-crosswalk.json'
+      });
+    }
+
     // Free tier limitations
     if (this.hubspotCompanies.length === 0) {
       recommendations.push({
@@ -502,6 +567,24 @@ class DataGapAnalyzer {
       });
     }
     
+    if (this.gaps.deals.stageMismatches.length > 0) {
+      recommendations.push({
+        type: 'deal_stage_mismatches',
+        priority: 'medium',
+        message: `${this.gaps.deals.stageMismatches.length} HubSpot deals are not in the stage mapped from their ActiveCampaign stage`,
+        action: 'Move these deals to the mapped HubSpot pipeline and stage'
+      });
+    }
+    
+    if (this.gaps.deals.unmappedStages.length > 0) {
+      recommendations.push({
+        type: 'unmapped_deal_stages',
+        priority: 'medium',
+        message: `${this.gaps.deals.unmappedStages.length} ActiveCampaign deal stages have no HubSpot stage mapping`,
+        action: 'Add these stages to config/stage-mapping.js so stage mismatches can be detected'
+      });
+    }
+    
     if (this.gaps.deals.dateMismatches.length > 0) {
       recommendations.push({
         type: 'deal_date_mismatches',
@@ -520,6 +603,25 @@ class DataGapAnalyzer {
       });
     }
     
+    if (this.gaps.deals.associationIssues.length > 0) {
+      recommendations.push({
+        type: 'deal_association_issues',
+        priority: 'high',
+        message: `${this.gaps.deals.associationIssues.length} deals are missing or have wrong contact/company associations in HubSpot`,
+        action: 'Re-associate HubSpot deals with the contacts and companies linked in ActiveCampaign'
+      });
+    }
+    
+    const dealMatchesToReview = this.gaps.deals.ambiguousMatches.length + this.gaps.deals.lowConfidenceMatches.length;
+    if (dealMatchesToReview > 0) {
+      recommendations.push({
+        type: 'deal_matches_to_review',
+        priority: 'medium',
+        message: `${dealMatchesToReview} deals have ambiguous or low-confidence matches and were not compared`,
+        action: 'Confirm the right pairs and add them as manual entries to data/deal-crosswalk.json'
+      });
+    }
+    
     if (this.gaps.deals.migrationIssues.length > 0) {
       recommendations.push({
         type: 'migration_issues',
@@ -533,30 +635,64 @@ class DataGapAnalyzer {
   }
 
   generateGapSummary(report) {
+    const incompleteWarning = report.summary.complete ? '' : `
+⚠️  INCOMPLETE DATA - THIS REPORT IS NOT RELIABLE
+Some ActiveCampaign or HubSpot data could not be fetched completely. Gaps that depend on
+these datasets were skipped and other counts may be understated:
+${report.summary.incompleteData.map(dataset => dataset.source === 'hubspot'
+  ? `- HubSpot ${dataset.objectType}: ${dataset.reason}`
+  : `- ActiveCampaign ${dataset.objectType}: ${dataset.fetched} records fetched (${dataset.reason})`
+).join('\n')}
+Re-run once both APIs are reachable with the required scopes, or use --strict to fail instead.
+`;
+
     const summary = `
 DATA GAP ANALYSIS REPORT
 ========================
 Generated: ${new Date().toLocaleString()}
-
+${incompleteWarning}
 SUMMARY:
 - HubSpot Contacts: ${report.summary.hubspotContacts.toLocaleString()}
 - HubSpot Companies: ${report.summary.hubspotCompanies.toLocaleString()}
 - HubSpot Deals: ${report.summary.hubspotDeals.toLocaleString()}
 - ActiveCampaign Contacts: ${report.summary.activecampaignContacts.toLocaleString()}
 - ActiveCampaign Deals: ${report.summary.activecampaignDeals.toLocaleString()}
+- ActiveCampaign Accounts: ${report.summary.activecampaignAccounts.toLocaleString()}
 
 CONTACT GAPS:
 - Missing in HubSpot: ${report.summary.contactGaps.missingInHubSpot}
 - Missing in ActiveCampaign: ${report.summary.contactGaps.missingInActiveCampaign}
 - Field Mismatches: ${report.summary.contactGaps.fieldMismatches}
+- Unparseable Phone Numbers: ${report.summary.contactGaps.invalidPhones}
+- Owner Mismatches: ${report.summary.contactGaps.ownerMismatches}
+- Custom Field Mismatches: ${report.summary.contactGaps.customFieldMismatches}
+- Tag/List Segmentation Issues: ${report.summary.contactGaps.segmentationIssues}
+- Consent Violations: ${report.summary.contactGaps.consentViolations}
+- Missing Notes/Tasks: ${report.summary.contactGaps.activityGaps}
+
+COMPANY GAPS:
+- Missing in HubSpot: ${report.summary.companyGaps.missingInHubSpot}
+- Missing in ActiveCampaign: ${report.summary.companyGaps.missingInActiveCampaign}
+- Field Mismatches: ${report.summary.companyGaps.fieldMismatches}
 
 DEAL GAPS:
 - Missing in HubSpot: ${report.summary.dealGaps.missingInHubSpot}
 - Missing in ActiveCampaign: ${report.summary.dealGaps.missingInActiveCampaign}
 - Status Mismatches: ${report.summary.dealGaps.statusMismatches}
+- Stage Mismatches: ${report.summary.dealGaps.stageMismatches}
+- Unmapped Stages: ${report.summary.dealGaps.unmappedStages}
 - Date Mismatches: ${report.summary.dealGaps.dateMismatches}
 - Value Mismatches: ${report.summary.dealGaps.valueMismatches}
 - Migration Issues: ${report.summary.dealGaps.migrationIssues}
+- Association Issues: ${report.summary.dealGaps.associationIssues}
+- Ambiguous Matches: ${report.summary.dealGaps.ambiguousMatches}
+- Low-Confidence Matches: ${report.summary.dealGaps.lowConfidenceMatches}
+- Owner Mismatches: ${report.summary.dealGaps.ownerMismatches}
+- Custom Field Mismatches: ${report.summary.dealGaps.customFieldMismatches}
+- Missing Notes/Tasks: ${report.summary.dealGaps.activityGaps}
+
+OWNERS:
+- ActiveCampaign users without a HubSpot owner: ${report.summary.unmatchedOwners}
 
 CONTACT EMPTY FIELD ANALYSIS:
 ${this.gaps.contacts.emptyFields.map(field => 
@@ -573,6 +709,19 @@ ${this.gaps.deals.emptyFields && Array.isArray(this.gaps.deals.emptyFields) ? th
   `- ${field.field}: ${field.count} deals (${field.percentage}%) missing data`
 ).join('\n') : 'No deal data available (free tier limitation)'}
 
+UNMAPPED STAGES:
+${this.gaps.deals.unmappedStages.length > 0 ? this.gaps.deals.unmappedStages.map(stage => 
+  `- ${stage.pipeline} / ${stage.stageName} (stage ID ${stage.stageId}): ${stage.dealCount} deals`
+).join('\n') : 'All ActiveCampaign stages in use are mapped'}
+
+DEAL MATCHES TO REVIEW:
+${[...this.gaps.deals.ambiguousMatches, ...this.gaps.deals.lowConfidenceMatches].length > 0 ? [
+  ...this.gaps.deals.ambiguousMatches.map(match => 
+    `- [ambiguous] ${match.title} (AC ${match.activeCampaignId}): ${match.candidates.map(candidate => `AC ${candidate.activeCampaignId} → ${candidate.dealName} (HS ${candidate.hubspotId}) ${candidate.score}`).join(', ')}`),
+  ...this.gaps.deals.lowConfidenceMatches.map(match => 
+    `- [low confidence] ${match.title} (AC ${match.activeCampaignId}) → ${match.dealName} (HS ${match.hubspotId}) ${match.score}`)
+].join('\n') : 'No ambiguous or low-confidence deal matches'}
+
 TOP FIELD MISMATCHES:
 ${this.gaps.contacts.fieldMismatches.slice(0, 5).map((mismatch, index) => 
   `${index + 1}. ${mismatch.email} - ${mismatch.mismatches.length} field(s) different`
@@ -599,6 +748,16 @@ Full details saved to: reports/data-gap-analysis.json
     logger.info(`Gap analysis summary saved to ${summaryPath}`);
   }
 
+  // ActiveCampaign object types that were only partially fetched
+  isIncomplete(objectType) {
+    return Boolean(this.activeCampaignAPI.incompleteDatasets[objectType]);
+  }
+
+  // HubSpot datasets (object types, associations-<from>-<to>, owners, ...) that HubSpot refused
+  isHubSpotIncomplete(dataset) {
+    return Boolean(this.hubspotAPI.incompleteDatasets[dataset]);
+  }
+
   async analyzeData() {
     logger.info('Starting comprehensive data analysis...');
     
@@ -609,6 +768,11 @@ Full details saved to: reports/data-gap-analysis.json
       logger.info(`Found ${this.hubspotDeals.length} HubSpot deals with migration close date`);
     }
     
+    // Owner mapping is needed to check that contact and deal owners carried over
+    if (this.options.includeContacts || this.options.includeDeals) {
+      await this.loadOwnerMapping();
+    }
+    
     // If focusing on deals, skip contact analysis
     if (this.options.focusDeals) {
       logger.info('🎯 Focusing on deals analysis only...');
@@ -625,7 +789,19 @@ Full details saved to: reports/data-gap-analysis.json
       // Full analysis
       // Contact analysis
       if (this.options.includeContacts) {
+        this.contactMatches = this.idCrosswalk.matchRecords('contacts', this.acContacts, this.hubspotContacts, matchContactsByEmail);
         this.analyzeContactGaps();
+        this.analyzeFieldMismatches();
+        this.analyzeContactOwners();
+        this.analyzeContactCustomFields();
+        await this.analyzeSegmentation();
+        await this.analyzeConsent();
+        await this.analyzeContactActivity();
+      }
+      
+      // Company analysis
+      if (this.options.includeCompanies) {
+        this.analyzeCompanyGaps();
       }
       
       // Deal analysis (enhanced for migration focus)
@@ -637,43 +813,440 @@ Full details saved to: reports/data-gap-analysis.json
       this.analyzeEmptyFields();
     }
     
+    // Persist new pairs so later runs and the updaters reuse them
+    this.idCrosswalk.save();
+    
+    // Record partial fetches (including those made during analysis) so reports are labelled
+    this.gaps.incompleteData = [
+      ...Object.entries(this.activeCampaignAPI.incompleteDatasets).map(([objectType, info]) => ({ source: 'activecampaign', objectType, ...info })),
+      ...Object.entries(this.hubspotAPI.incompleteDatasets).map(([objectType, info]) => ({ source: 'hubspot', objectType, ...info }))
+    ];
+    if (this.gaps.incompleteData.length > 0) {
+      logger.warn(`⚠️ Analysis ran on incomplete data: ${this.gaps.incompleteData.map(dataset => `${dataset.source} ${dataset.objectType}`).join(', ')}`);
+    }
+    
     logger.info('Data analysis complete');
   }
 
-  async analyzeDealsComprehensively() {
-    logger.info('🔍 Analyzing deals comprehensively between platforms...');
+  async getContactSegments() {
+    if (!this.acSegments) {
+      this.acSegments = await this.activeCampaignAPI.getContactSegments();
+    }
+    return this.acSegments;
+  }
+
+  async getActivityCounts() {
+    if (!this.acActivityCounts) {
+      this.acActivityCounts = await this.activeCampaignAPI.getActivityCounts();
+    }
+    return this.acActivityCounts;
+  }
+
+  // Compare ActiveCampaign note/task counts with HubSpot note/task associations for matched records.
+  // Each pair is { hubspotId, activeCampaignId, identifier }.
+  async compareActivityCounts(objectType, pairs) {
+    const acCounts = (await this.getActivityCounts())[objectType];
+    const pairsWithActivity = pairs.filter(pair => acCounts[String(pair.activeCampaignId)]);
+    if (pairsWithActivity.length === 0) return [];
+    
+    const hubspotIds = pairsWithActivity.map(pair => pair.hubspotId);
+    const [hubspotNotes, hubspotTasks] = await Promise.all([
+      this.hubspotAPI.getAssociations(objectType, 'notes', hubspotIds),
+      this.hubspotAPI.getAssociations(objectType, 'tasks', hubspotIds)
+    ]);
+    // Unavailable associations would make every note or task look missing
+    const notesAvailable = !this.isHubSpotIncomplete(`associations-${objectType}-notes`);
+    const tasksAvailable = !this.isHubSpotIncomplete(`associations-${objectType}-tasks`);
+    
+    return pairsWithActivity
+      .map(pair => {
+        const acActivity = acCounts[String(pair.activeCampaignId)];
+        const hubspotNoteCount = (hubspotNotes[pair.hubspotId] || []).length;
+        const hubspotTaskCount = (hubspotTasks[pair.hubspotId] || []).length;
+        return {
+          ...pair,
+          activeCampaignNotes: acActivity.notes,
+          hubspotNotes: hubspotNoteCount,
+          missingNotes: notesAvailable ? Math.max(acActivity.notes - hubspotNoteCount, 0) : 0,
+          activeCampaignTasks: acActivity.tasks,
+          hubspotTasks: hubspotTaskCount,
+          missingTasks: tasksAvailable ? Math.max(acActivity.tasks - hubspotTaskCount, 0) : 0
+        };
+      })
+      .filter(gap => gap.missingNotes > 0 || gap.missingTasks > 0);
+  }
+
+  async analyzeContactActivity() {
+    logger.info('🔍 Comparing contact notes and tasks...');
     
-    // Create lookup maps for deal comparison
-    const hubspotDealsByName = new Map();
-    const acDealsByTitle = new Map();
+    const pairs = this.contactMatches.pairs.map(({ acRecord: acContact, hsRecord: hsContact }) => ({
+      hubspotId: hsContact.id,
+      activeCampaignId: acContact.id,
+      identifier: hsContact.properties.email
+    }));
     
-    // Process HubSpot deals
-    this.hubspotDeals.forEach(deal => {
-      const name = deal.properties.dealname?.toLowerCase().trim();
-      if (name) {
-        if (!hubspotDealsByName.has(name)) {
-          hubspotDealsByName.set(name, []);
-        }
-        hubspotDealsByName.get(name).push(deal);
+    this.gaps.contacts.activityGaps = await this.compareActivityCounts('contacts', pairs);
+    logger.info(`Found ${this.gaps.contacts.activityGaps.length} contacts with missing notes or tasks`);
+  }
+
+  async analyzeDealActivity(dealPairs) {
+    logger.info('🔍 Comparing deal notes and tasks...');
+    
+    const pairs = dealPairs.map(({ hsDeal, acDeal }) => ({
+      hubspotId: hsDeal.id,
+      activeCampaignId: acDeal.id,
+      identifier: hsDeal.properties.dealname
+    }));
+    
+    this.gaps.deals.activityGaps = await this.compareActivityCounts('deals', pairs);
+    logger.info(`Found ${this.gaps.deals.activityGaps.length} deals with missing notes or tasks`);
+  }
+
+  // Contacts that unsubscribed or bounced in ActiveCampaign must be opted out of email in HubSpot
+  async analyzeConsent() {
+    logger.info('🔍 Reconciling unsubscribe and bounce status...');
+    
+    const segments = await this.getContactSegments();
+    const subscriptionTypes = (await this.hubspotAPI.getSubscriptionTypes()).filter(type => type.isActive !== false);
+    
+    // AC list name → HubSpot subscription type, from config/segmentation-mapping.js
+    const typeByList = new Map();
+    Object.entries(segmentationMapping.subscriptionTypes || {}).forEach(([listName, typeKey]) => {
+      const type = subscriptionTypes.find(candidate => candidate.id === String(typeKey) || candidate.name === typeKey);
+      if (type) {
+        typeByList.set(listName, type);
+      } else if (!this.isHubSpotIncomplete('subscription-types')) {
+        logger.warn(`⚠️ Subscription type "${typeKey}" mapped from list "${listName}" not found in HubSpot`);
       }
     });
     
-    // Process ActiveCampaign deals
-    this.acDeals.forEach(deal => {
-      const title = deal.title?.toLowerCase().trim();
-      if (title) {
-        if (!acDealsByTitle.has(title)) {
-          acDealsByTitle.set(title, []);
+    // Contacts that must not be marketable in HubSpot, globally or for the mapped subscription types
+    const candidates = [];
+    this.contactMatches.pairs.forEach(({ acRecord: acContact, hsRecord: hsContact }) => {
+      const segment = segments[String(acContact.id)] || { lists: [], unsubscribedLists: [], bouncedLists: [] };
+      const reasons = [];
+      if (parseInt(acContact.bounced_hard) > 0 || segment.bouncedLists.length > 0) {
+        reasons.push('bounced');
+      }
+      // Unsubscribed from every list they were on
+      if (segment.unsubscribedLists.length > 0 && segment.lists.length === 0) {
+        reasons.push('unsubscribed');
+      }
+      const unsubscribedTypes = segment.unsubscribedLists
+        .filter(listName => typeByList.has(listName))
+        .map(listName => ({ list: listName, type: typeByList.get(listName) }));
+      
+      if (reasons.length > 0 || unsubscribedTypes.length > 0) {
+        candidates.push({ acContact, hsContact, segment, reasons, unsubscribedTypes });
+      }
+    });
+    
+    if (candidates.length === 0) {
+      logger.info('No unsubscribed or bounced ActiveCampaign contacts to reconcile');
+      return;
+    }
+    
+    // Read current opt-out state, including per-subscription-type opt-outs
+    const properties = ['email', 'hs_email_optout', ...subscriptionTypes.map(type => `hs_email_optout_${type.id}`)];
+    const { results } = await this.hubspotAPI.batchRead('contacts', candidates.map(candidate => candidate.hsContact.id), properties);
+    const currentById = new Map(results.map(record => [String(record.id), record.properties]));
+    
+    candidates.forEach(({ acContact, hsContact, segment, reasons, unsubscribedTypes }) => {
+      const current = currentById.get(String(hsContact.id)) || hsContact.properties;
+      if (current.hs_email_optout === 'true') return;
+      
+      // Lists unsubscribed in AC whose subscription type is still subscribed in HubSpot
+      const stillSubscribed = unsubscribedTypes.filter(({ type }) => current[`hs_email_optout_${type.id}`] !== 'true');
+      if (reasons.length === 0 && stillSubscribed.length === 0) return;
+      
+      this.gaps.contacts.consentViolations.push({
+        email: hsContact.properties.email,
+        hubspotId: hsContact.id,
+        activeCampaignId: acContact.id,
+        reasons: stillSubscribed.length > 0 ? [...reasons, 'unsubscribed_from_list'] : reasons,
+        unsubscribedLists: segment.unsubscribedLists,
+        bouncedLists: segment.bouncedLists,
+        hubspotEmailOptOut: current.hs_email_optout || null,
+        subscribedTypes: subscriptionTypes
+          .filter(type => current[`hs_email_optout_${type.id}`] !== 'true')
+          .map(type => type.name),
+        listTypeMismatches: stillSubscribed.map(({ list, type }) => `${list} → ${type.name}`),
+        concern: reasons.length > 0
+          ? 'Contact is not opted out of email in HubSpot'
+          : 'Contact is still subscribed to the HubSpot subscription types of lists they unsubscribed from'
+      });
+    });
+    
+    logger.info(`Found ${this.gaps.contacts.consentViolations.length} consent violations`);
+  }
+
+  // Check that each mapped ActiveCampaign tag and list subscription carried over to HubSpot
+  async analyzeSegmentation() {
+    const mappings = [
+      ...Object.entries(segmentationMapping.tags || {}).map(([name, target]) => ({ source: 'tag', name, target })),
+      ...Object.entries(segmentationMapping.lists || {}).map(([name, target]) => ({ source: 'list', name, target }))
+    ];
+    if (mappings.length === 0) return;
+    
+    logger.info('🔍 Verifying tag and list segmentation...');
+    
+    const segments = await this.getContactSegments();
+    
+    // Load memberships of every mapped HubSpot list once
+    const listMembers = {};
+    for (const { target } of mappings) {
+      if (target.listId && !(target.listId in listMembers)) {
+        const recordIds = await this.hubspotAPI.getListMemberships(target.listId);
+        listMembers[target.listId] = recordIds ? new Set(recordIds) : null;
+      }
+    }
+    
+    this.contactMatches.pairs.forEach(({ acRecord: acContact, hsRecord: hsContact }) => {
+      const segment = segments[String(acContact.id)];
+      if (!segment) return;
+      
+      mappings.forEach(({ source, name, target }) => {
+        const inSegment = source === 'tag' ? segment.tags.includes(name) : segment.lists.includes(name);
+        if (!inSegment) return;
+        
+        const issue = {
+          email: hsContact.properties.email,
+          hubspotId: hsContact.id,
+          activeCampaignId: acContact.id,
+          source,
+          name
+        };
+        
+        if (target.listId) {
+          const members = listMembers[target.listId];
+          if (members && !members.has(String(hsContact.id))) {
+            this.gaps.contacts.segmentationIssues.push({
+              ...issue,
+              expected: `member of HubSpot list ${target.listId}`,
+              actual: 'not a member'
+            });
+          }
+        } else if (target.property) {
+          const actual = hsContact.properties[target.property];
+          const values = String(actual ?? '').split(';').map(value => value.trim().toLowerCase());
+          if (!values.includes(String(target.value).toLowerCase())) {
+            this.gaps.contacts.segmentationIssues.push({
+              ...issue,
+              expected: `${target.property} = ${target.value}`,
+              actual: actual ? `${target.property} = ${actual}` : `${target.property} empty`
+            });
+          }
         }
-        acDealsByTitle.get(title).push(deal);
+      });
+    });
+    
+    logger.info(`Found ${this.gaps.contacts.segmentationIssues.length} tag/list segmentation issues`);
+  }
+
+  // Match ActiveCampaign accounts to HubSpot companies by domain first, then by normalized name
+  analyzeCompanyGaps() {
+    if (this.hubspotCompanies.length === 0) {
+      logger.info('No HubSpot companies available - skipping company gap analysis');
+      return;
+    }
+    
+    logger.info('Analyzing company gaps between platforms...');
+    
+    const companyMatches = this.idCrosswalk.matchRecords('companies', this.acAccounts, this.hubspotCompanies, matchCompaniesByDomainOrName);
+    
+    // Unpaired accounts sharing a domain or name with a HubSpot company are duplicates, not missing
+    const hubspotKeys = new Set();
+    this.hubspotCompanies.forEach(company => {
+      [normalizeDomain(company.properties.domain), normalizeDomain(company.properties.website), normalizeCompanyName(company.properties.name)]
+        .filter(Boolean)
+        .forEach(key => hubspotKeys.add(key));
+    });
+    
+    const excluded = new Set(companyMatches.excludedActiveCampaign);
+    companyMatches.unmatchedActiveCampaign.forEach(account => {
+      const domain = normalizeDomain(account.accountUrl);
+      const name = normalizeCompanyName(account.name);
+      if (!excluded.has(account) && (hubspotKeys.has(domain) || hubspotKeys.has(name))) {
+        return;
+      }
+      
+      this.gaps.companies.missingInHubSpot.push({
+        id: account.id,
+        name: account.name,
+        domain: domain || null,
+        createdDate: account.createdTimestamp
+      });
+    });
+    
+    companyMatches.pairs.forEach(({ acRecord: account, hsRecord: hsCompany, matchedBy }) => {
+      const domain = normalizeDomain(account.accountUrl);
+      const mismatches = [];
+      // Ignore punctuation and legal suffix differences ("Acme, Inc." vs "Acme Inc")
+      if (normalizeCompanyName(account.name) !== normalizeCompanyName(hsCompany.properties.name)) {
+        mismatches.push({
+          field: 'name',
+          activecampaign: account.name,
+          hubspot: hsCompany.properties.name
+        });
+      }
+      
+      const hsDomain = normalizeDomain(hsCompany.properties.domain || hsCompany.properties.website);
+      if (domain && hsDomain && domain !== hsDomain) {
+        mismatches.push({
+          field: 'domain',
+          activecampaign: account.accountUrl,
+          hubspot: hsCompany.properties.domain || hsCompany.properties.website
+        });
+      }
+      
+      if (mismatches.length > 0) {
+        this.gaps.companies.fieldMismatches.push({
+          name: hsCompany.properties.name,
+          hubspotId: hsCompany.id,
+          activeCampaignId: account.id,
+          matchedBy,
+          mismatches
+        });
       }
     });
     
-    // Find missing deals
-    this.findMissingDeals(hubspotDealsByName, acDealsByTitle);
+    // Skipped when the AC account list is incomplete
+    const acAccountsIncomplete = this.isIncomplete('accounts');
+    if (acAccountsIncomplete) {
+      logger.warn('Skipping "missing in ActiveCampaign" companies - ActiveCampaign accounts are incomplete');
+    }
+    if (!acAccountsIncomplete) {
+      companyMatches.unmatchedHubSpot.forEach(company => {
+        this.gaps.companies.missingInActiveCampaign.push({
+          id: company.id,
+          name: company.properties.name,
+          domain: company.properties.domain,
+          createdDate: company.properties.createdate
+        });
+      });
+    }
+    
+    logger.info(`Found ${this.gaps.companies.missingInHubSpot.length} companies missing in HubSpot`);
+    logger.info(`Found ${this.gaps.companies.missingInActiveCampaign.length} companies missing in ActiveCampaign`);
+    logger.info(`Found ${this.gaps.companies.fieldMismatches.length} companies with field mismatches`);
+  }
+
+  async loadOwnerMapping() {
+    this.ownerMapper = await new OwnerMapper(this.hubspotAPI, this.activeCampaignAPI).load();
+    this.gaps.owners.unmatchedUsers = this.ownerMapper.unmatchedUsers;
+  }
+
+  // Compare an ActiveCampaign owner with the HubSpot owner it maps to; returns null when they agree
+  compareOwner(acOwnerId, hsOwnerId) {
+    if (!this.ownerMapper || !this.ownerMapper.isMapped(acOwnerId)) return null;
+    
+    const expectedOwnerId = this.ownerMapper.getHubSpotOwnerId(acOwnerId);
+    if (!expectedOwnerId || expectedOwnerId === String(hsOwnerId || '')) return null;
+    
+    return {
+      issueType: hsOwnerId ? 'wrong_owner' : 'missing_owner',
+      activeCampaignOwner: this.ownerMapper.describeACUser(acOwnerId),
+      expectedOwnerId,
+      expectedOwner: this.ownerMapper.describeHubSpotOwner(expectedOwnerId),
+      hubspotOwnerId: hsOwnerId || null,
+      hubspotOwner: this.ownerMapper.describeHubSpotOwner(hsOwnerId)
+    };
+  }
+
+  // Only applies to ActiveCampaign contacts that carry an owner
+  analyzeContactOwners() {
+    logger.info('🔍 Checking contact owners...');
+    
+    this.contactMatches.pairs.forEach(({ acRecord: acContact, hsRecord: hsContact }) => {
+      if (!acContact.owner) return;
+      
+      const ownerIssue = this.compareOwner(acContact.owner, hsContact.properties.hubspot_owner_id);
+      if (ownerIssue) {
+        this.gaps.contacts.ownerMismatches.push({
+          email: hsContact.properties.email,
+          hubspotId: hsContact.id,
+          activeCampaignId: acContact.id,
+          ...ownerIssue
+        });
+      }
+    });
+    
+    logger.info(`Found ${this.gaps.contacts.ownerMismatches.length} contacts with owner mismatches`);
+  }
+
+  // Normalize custom field values so formatting differences don't count as mismatches
+  normalizeFieldValue(value) {
+    if (value === undefined || value === null) return '';
+    
+    // AC multi-select values look like ||a||b||, HubSpot uses a;b
+    const parts = String(value).split(/\|\||;/).map(part => part.trim().toLowerCase()).filter(Boolean);
+    if (parts.length === 1 && parts[0] !== '' && !isNaN(Number(parts[0]))) {
+      return String(Number(parts[0]));
+    }
+    return parts.sort().join(';');
+  }
+
+  // Compare ActiveCampaign custom field values (record.fields) with the mapped HubSpot properties
+  compareCustomFields(acFields = {}, hsProperties = {}, mapping = {}) {
+    return Object.entries(mapping)
+      .filter(([title, property]) => this.normalizeFieldValue(acFields[title]) !== this.normalizeFieldValue(hsProperties[property]))
+      .map(([title, property]) => ({
+        field: title,
+        property,
+        activecampaign: acFields[title] ?? null,
+        hubspot: hsProperties[property] ?? null
+      }));
+  }
+
+  analyzeContactCustomFields() {
+    if (Object.keys(customFieldMapping.contacts || {}).length === 0) return;
+    
+    logger.info('🔍 Comparing mapped contact custom fields...');
+    
+    this.contactMatches.pairs.forEach(({ acRecord: acContact, hsRecord: hsContact }) => {
+      const mismatches = this.compareCustomFields(acContact.fields, hsContact.properties, customFieldMapping.contacts);
+      if (mismatches.length > 0) {
+        this.gaps.contacts.customFieldMismatches.push({
+          email: hsContact.properties.email,
+          hubspotId: hsContact.id,
+          activeCampaignId: acContact.id,
+          mismatches
+        });
+      }
+    });
+    
+    logger.info(`Found ${this.gaps.contacts.customFieldMismatches.length} contacts with custom field mismatches`);
+  }
+
+  async analyzeDealsComprehensively() {
+    logger.info('🔍 Analyzing deals comprehensively between platforms...');
+    
+    // Stage metadata lets us resolve won/lost for custom pipelines with numeric stage IDs
+    this.dealStages = await this.hubspotAPI.getDealStageMap();
+    this.acDealStages = await this.activeCampaignAPI.getDealStageMap();
+    
+    // Pair deals through the ID crosswalk, then by scoring title, amount, created date, contact and organization
+    const dealMatcher = await new DealMatcher().loadSignals({
+      hubspotAPI: this.hubspotAPI,
+      activeCampaignAPI: this.activeCampaignAPI,
+      hubspotDeals: this.hubspotDeals,
+      hubspotContacts: this.hubspotContacts,
+      hubspotCompanies: this.hubspotCompanies,
+      acContacts: this.acContacts,
+      acAccounts: this.acAccounts
+    });
+    this.dealMatches = this.idCrosswalk.matchRecords('deals', this.acDeals, this.hubspotDeals, (acDeals, hubspotDeals) => dealMatcher.match(acDeals, hubspotDeals));
+    this.gaps.deals.ambiguousMatches = dealMatcher.ambiguousMatches;
+    this.gaps.deals.lowConfidenceMatches = dealMatcher.lowConfidenceMatches;
+    
+    // Find missing deals - deals with a candidate under review aren't reported as missing
+    this.findMissingDeals(dealMatcher.reviewedActiveCampaignIds, dealMatcher.reviewedHubSpotIds);
     
     // Analyze deal mismatches
-    this.analyzeDealMismatches(hubspotDealsByName, acDealsByTitle);
+    this.analyzeDealMismatches();
+    
+    // List ActiveCampaign stages missing from the stage mapping
+    this.analyzeUnmappedStages();
     
     // Analyze migration issues
     this.analyzeMigrationIssues();
@@ -681,73 +1254,80 @@ Full details saved to: reports/data-gap-analysis.json
     // Analyze close date issues for won/lost deals
     this.analyzeCloseDateIssues();
     
+    // Analyze contact/company associations and notes/tasks of matched deals
+    const dealPairs = this.dealMatches.pairs.map(({ hsRecord, acRecord }) => ({ hsDeal: hsRecord, acDeal: acRecord }));
+    await this.analyzeDealAssociations(dealPairs);
+    await this.analyzeDealActivity(dealPairs);
+    
     logger.info(`✅ Deal analysis complete: ${this.acDeals.length} AC deals vs ${this.hubspotDeals.length} HubSpot deals`);
   }
 
-  findMissingDeals(hubspotDealsByName, acDealsByTitle) {
+  findMissingDeals(reviewedActiveCampaignIds = new Set(), reviewedHubSpotIds = new Set()) {
     logger.info('🔍 Finding missing deals between platforms...');
     
-    // Find deals in ActiveCampaign but not in HubSpot
-    for (const [title, acDeals] of acDealsByTitle) {
-      if (!hubspotDealsByName.has(title)) {
-        // Deal exists in AC but not in HubSpot
-        acDeals.forEach(deal => {
-          this.gaps.deals.missingInHubSpot.push({
-            id: deal.id,
-            title: deal.title,
-            value: deal.value,
-            status: this.getACDealStatus(deal.status),
-            stage: deal.stage,
-            createdDate: deal.cdate,
-            modifiedDate: deal.mdate,
-            closeDate: deal.edate,
-            organization: deal.organization,
-            owner: deal.owner,
-            migrationConcern: 'Deal exists in ActiveCampaign but not found in HubSpot'
-          });
-        });
-      }
+    // Find deals in ActiveCampaign but not in HubSpot - skipped when HubSpot deals aren't available
+    const hubspotDealsIncomplete = this.isHubSpotIncomplete('deals');
+    if (hubspotDealsIncomplete) {
+      logger.warn('Skipping "missing in HubSpot" deals - HubSpot deals are not available');
     }
+    this.dealMatches.unmatchedActiveCampaign.forEach(deal => {
+      if (hubspotDealsIncomplete || reviewedActiveCampaignIds.has(String(deal.id))) return;
+      
+      this.gaps.deals.missingInHubSpot.push({
+        id: deal.id,
+        title: deal.title,
+        value: deal.value,
+        status: getACDealStatus(deal.status),
+        stage: deal.stage,
+        stageName: this.acDealStages[deal.stage]?.title || deal.stage,
+        pipeline: this.acDealStages[deal.stage]?.pipelineTitle || deal.group,
+        createdDate: deal.cdate,
+        modifiedDate: deal.mdate,
+        closeDate: deal.edate,
+        organization: deal.organization,
+        owner: deal.owner,
+        ownerName: this.ownerMapper ? this.ownerMapper.describeACUser(deal.owner) : deal.owner,
+        hubspotOwnerId: this.ownerMapper?.getHubSpotOwnerId(deal.owner) || null,
+        migrationConcern: 'Deal exists in ActiveCampaign but not found in HubSpot'
+      });
+    });
     
-    // Find deals in HubSpot but not in ActiveCampaign
-    for (const [name, hubspotDeals] of hubspotDealsByName) {
-      if (!acDealsByTitle.has(name)) {
-        // Deal exists in HubSpot but not in AC
-        hubspotDeals.forEach(deal => {
-          this.gaps.deals.missingInActiveCampaign.push({
-            id: deal.id,
-            name: deal.properties.dealname,
-            amount: deal.properties.amount,
-            stage: deal.properties.dealstage,
-            closeDate: deal.properties.closedate,
-            createDate: deal.properties.createdate,
-            pipeline: deal.properties.pipeline,
-            migrationConcern: 'Deal exists in HubSpot but not found in ActiveCampaign'
-          });
+    // Find deals in HubSpot but not in ActiveCampaign - skipped when the AC deal list is incomplete
+    const acDealsIncomplete = this.isIncomplete('deals');
+    if (acDealsIncomplete) {
+      logger.warn('Skipping "missing in ActiveCampaign" deals - ActiveCampaign deals are incomplete');
+    }
+    if (!acDealsIncomplete) {
+      this.dealMatches.unmatchedHubSpot.forEach(deal => {
+        if (reviewedHubSpotIds.has(String(deal.id))) return;
+        
+        this.gaps.deals.missingInActiveCampaign.push({
+          id: deal.id,
+          name: deal.properties.dealname,
+          amount: deal.properties.amount,
+          stage: deal.properties.dealstage,
+          stageName: this.dealStages[deal.properties.dealstage]?.label || deal.properties.dealstage,
+          closeDate: deal.properties.closedate,
+          createDate: deal.properties.createdate,
+          pipeline: this.dealStages[deal.properties.dealstage]?.pipelineLabel || deal.properties.pipeline,
+          migrationConcern: 'Deal exists in HubSpot but not found in ActiveCampaign'
         });
-      }
+      });
     }
     
     logger.info(`Found ${this.gaps.deals.missingInHubSpot.length} deals in AC but not in HubSpot`);
     logger.info(`Found ${this.gaps.deals.missingInActiveCampaign.length} deals in HubSpot but not in AC`);
   }
 
-  analyzeDealMismatches(hubspotDealsByName, acDealsByTitle) {
+  analyzeDealMismatches() {
     logger.info('🔍 Analyzing deal field mismatches...');
     
-    for (const [name, hubspotDeals] of hubspotDealsByName) {
-      const acDeals = acDealsByTitle.get(name);
-      if (acDeals) {
-        // We have matching deals, let's compare them
-        hubspotDeals.forEach(hsDeal => {
-          acDeals.forEach(acDeal => {
-            this.compareDealFields(hsDeal, acDeal);
-          });
-        });
-      }
-    }
+    this.dealMatches.pairs.forEach(({ hsRecord, acRecord }) => this.compareDealFields(hsRecord, acRecord));
     
     logger.info(`Found ${this.gaps.deals.statusMismatches.length} status mismatches`);
+    logger.info(`Found ${this.gaps.deals.stageMismatches.length} stage mismatches`);
+    logger.info(`Found ${this.gaps.deals.ownerMismatches.length} owner mismatches`);
+    logger.info(`Found ${this.gaps.deals.customFieldMismatches.length} custom field mismatches`);
     logger.info(`Found ${this.gaps.deals.dateMismatches.length} date mismatches`);
     logger.info(`Found ${this.gaps.deals.valueMismatches.length} value mismatches`);
   }
@@ -761,20 +1341,59 @@ Full details saved to: reports/data-gap-analysis.json
     };
     
     // Compare status/stage
-    const hsStatus = getHubSpotDealStatus(hsDeal.properties.dealstage);
+    const hsStatus = getHubSpotDealStatus(hsDeal.properties.dealstage, this.dealStages);
     const acStatus = getACDealStatus(acDeal.status);
+    const stages = {
+      hubspotStage: hsDeal.properties.dealstage,
+      hubspotStageLabel: this.dealStages[hsDeal.properties.dealstage]?.label || hsDeal.properties.dealstage,
+      hubspotPipeline: this.dealStages[hsDeal.properties.dealstage]?.pipelineLabel || hsDeal.properties.pipeline,
+      activeCampaignStage: acDeal.stage,
+      activeCampaignStageName: this.acDealStages[acDeal.stage]?.title || acDeal.stage,
+      activeCampaignPipeline: this.acDealStages[acDeal.stage]?.pipelineTitle || acDeal.group
+    };
     
     if (hsStatus !== acStatus) {
       this.gaps.deals.statusMismatches.push({
         ...comparison,
         hubspotStatus: hsStatus,
         activeCampaignStatus: acStatus,
-        hubspotStage: hsDeal.properties.dealstage,
-        activeCampaignStage: acDeal.stage,
+        ...stages,
         concern: 'Deal status differs between platforms'
       });
     }
     
+    // Compare the exact stage using the AC → HubSpot stage mapping
+    const mappedStage = this.getMappedHubSpotStage(acDeal);
+    if (mappedStage && !this.isInMappedStage(hsDeal, mappedStage)) {
+      this.gaps.deals.stageMismatches.push({
+        ...comparison,
+        ...stages,
+        expectedPipeline: mappedStage.pipeline || null,
+        expectedStage: mappedStage.stage,
+        concern: 'HubSpot deal is not in the stage mapped from its ActiveCampaign stage'
+      });
+    }
+    
+    // Compare owners through the owner crosswalk
+    const ownerIssue = this.compareOwner(acDeal.owner, hsDeal.properties.hubspot_owner_id);
+    if (ownerIssue) {
+      this.gaps.deals.ownerMismatches.push({
+        ...comparison,
+        ...ownerIssue,
+        concern: 'Deal owner did not carry over from ActiveCampaign'
+      });
+    }
+    
+    // Compare mapped custom fields
+    const customFieldMismatches = this.compareCustomFields(acDeal.fields, hsDeal.properties, customFieldMapping.deals);
+    if (customFieldMismatches.length > 0) {
+      this.gaps.deals.customFieldMismatches.push({
+        ...comparison,
+        mismatches: customFieldMismatches,
+        concern: 'Custom field values differ between platforms'
+      });
+    }
+    
     // Compare values
     const hsAmount = parseFloat(hsDeal.properties.amount || '0');
     const acAmount = parseFloat(acDeal.value || '0') / 100; // AC stores in cents
@@ -796,7 +1415,7 @@ Full details saved to: reports/data-gap-analysis.json
   analyzeCloseDateMismatch(hsDeal, acDeal, comparison) {
     const hsCloseDate = hsDeal.properties.closedate;
     const acCloseDate = acDeal.edate;
-    const hsStatus = getHubSpotDealStatus(hsDeal.properties.dealstage);
+    const hsStatus = getHubSpotDealStatus(hsDeal.properties.dealstage, this.dealStages);
     const acStatus = getACDealStatus(acDeal.status);
     
     // Migration date check - deals with this date need to be updated
@@ -894,46 +1513,172 @@ Full details saved to: reports/data-gap-analysis.json
 
 
 
+  // Case-insensitive match of a stage mapping value against an ID or name (no value matches anything)
+  matchesStageRef(ref, id, name) {
+    if (!ref) return true;
+    const value = String(ref).trim().toLowerCase();
+    return value === String(id ?? '').toLowerCase() || value === String(name ?? '').trim().toLowerCase();
+  }
+
+  // HubSpot pipeline/stage that an ActiveCampaign deal's stage maps to, or null if unmapped
+  getMappedHubSpotStage(acDeal) {
+    const acStage = this.acDealStages[acDeal.stage];
+    const mapping = stageMapping.stages.find(entry =>
+      this.matchesStageRef(entry.activeCampaign.stage, acDeal.stage, acStage?.title) &&
+      this.matchesStageRef(entry.activeCampaign.pipeline, acStage?.pipelineId || acDeal.group, acStage?.pipelineTitle)
+    );
+    return mapping ? mapping.hubspot : null;
+  }
+
+  isInMappedStage(hsDeal, mappedStage) {
+    const hsStage = this.dealStages[hsDeal.properties.dealstage];
+    return this.matchesStageRef(mappedStage.stage, hsDeal.properties.dealstage, hsStage?.label) &&
+      this.matchesStageRef(mappedStage.pipeline, hsDeal.properties.pipeline, hsStage?.pipelineLabel);
+  }
+
+  analyzeUnmappedStages() {
+    logger.info('🔍 Checking ActiveCampaign stages against the stage mapping...');
+    
+    const unmapped = new Map();
+    this.acDeals.forEach(deal => {
+      if (!deal.stage || this.getMappedHubSpotStage(deal)) return;
+      
+      if (!unmapped.has(deal.stage)) {
+        const acStage = this.acDealStages[deal.stage];
+        unmapped.set(deal.stage, {
+          stageId: deal.stage,
+          stageName: acStage?.title || deal.stage,
+          pipeline: acStage?.pipelineTitle || deal.group,
+          dealCount: 0
+        });
+      }
+      unmapped.get(deal.stage).dealCount++;
+    });
+    
+    this.gaps.deals.unmappedStages = Array.from(unmapped.values()).sort((a, b) => b.dealCount - a.dealCount);
+    logger.info(`Found ${this.gaps.deals.unmappedStages.length} unmapped ActiveCampaign stages`);
+  }
+
+  analyzeMigrationIssues() {
+    logger.info('🔍 Analyzing HubSpot deals for migration inconsistencies...');
+    
+    this.hubspotDeals.forEach(deal => {
+      const issues = [];
+      const status = getHubSpotDealStatus(deal.properties.dealstage, this.dealStages);
+      const closeDate = deal.properties.closedate;
+      
+      if (!deal.properties.dealstage) {
+        issues.push('missing deal stage');
+      }
+      if ((status === 'won' || status === 'lost') && !closeDate) {
+        issues.push('closed deal missing close date');
+      }
+      if (closeDate && isMigrationDate(closeDate)) {
+        issues.push('close date is migration placeholder');
+      }
+      
+      if (issues.length > 0) {
+        this.gaps.deals.migrationIssues.push({
+          hubspotId: deal.id,
+          dealName: deal.properties.dealname,
+          stage: deal.properties.dealstage,
+          closeDate: closeDate,
+          issues: issues
+        });
+      }
+    });
+    
+    logger.info(`Found ${this.gaps.deals.migrationIssues.length} deals with migration issues`);
+  }
+
+  async analyzeDealAssociations(dealPairs) {
+    logger.info('🔍 Analyzing deal associations between platforms...');
+
+    if (dealPairs.length === 0) {
+      logger.info('No matched deals to compare associations for');
+      return;
+    }
+
+    // Association checks need contact emails even when contacts aren't being analyzed
+    const hubspotContacts = this.hubspotContacts.length > 0 ? this.hubspotContacts : await this.hubspotAPI.getAllContacts();
+    const hubspotEmailById = new Map(hubspotContacts.map(contact => [contact.id, normalizeEmail(contact.properties.email)]));
+    const acEmailById = new Map(this.acContacts.map(contact => [String(contact.id), normalizeEmail(contact.email)]));
+
+    const hubspotDealIds = dealPairs.map(pair => pair.hsDeal.id);
+    const [dealContacts, dealCompanies, acAssociations] = await Promise.all([
+      this.hubspotAPI.getAssociations('deals', 'contacts', hubspotDealIds),
+      this.hubspotAPI.getAssociations('deals', 'companies', hubspotDealIds),
+      this.activeCampaignAPI.getDealAssociations()
+    ]);
+    // Unavailable associations would make every deal look unassociated
+    const contactsAvailable = !this.isHubSpotIncomplete('associations-deals-contacts');
+    const companiesAvailable = !this.isHubSpotIncomplete('associations-deals-companies');
+
+    dealPairs.forEach(({ hsDeal, acDeal }) => {
+      const comparison = {
+        hubspotId: hsDeal.id,
+        activeCampaignId: acDeal.id,
+        dealName: hsDeal.properties.dealname
+      };
+      const acLinks = acAssociations[acDeal.id] || { contacts: [], organization: null };
+
+      const expectedEmails = acLinks.contacts.map(id => acEmailById.get(id)).filter(Boolean);
+      const actualEmails = (dealContacts[hsDeal.id] || []).map(id => hubspotEmailById.get(id)).filter(Boolean);
+      const missingEmails = expectedEmails.filter(email => !actualEmails.includes(email));
+
+      if (contactsAvailable) {
+        if (expectedEmails.length > 0 && actualEmails.length === 0) {
+          this.gaps.deals.associationIssues.push({
+            ...comparison,
+            issueType: 'missing_contact_association',
+            expected: expectedEmails,
+            actual: [],
+            priority: 'HIGH',
+            concern: 'Deal has contacts in ActiveCampaign but no associated contacts in HubSpot'
+          });
+        } else if (missingEmails.length > 0) {
+          this.gaps.deals.associationIssues.push({
+            ...comparison,
+            issueType: 'wrong_contact_association',
+            expected: expectedEmails,
+            actual: actualEmails,
+            missing: missingEmails,
+            priority: 'HIGH',
+            concern: `HubSpot deal is not associated with ${missingEmails.join(', ')}`
+          });
+        }
+      }
+
+      if (companiesAvailable && acLinks.organization && (dealCompanies[hsDeal.id] || []).length === 0) {
+        this.gaps.deals.associationIssues.push({
+          ...comparison,
+          issueType: 'missing_company_association',
+          expected: [acLinks.organization],
+          actual: [],
+          priority: 'MEDIUM',
+          concern: 'Deal has an organization in ActiveCampaign but no associated company in HubSpot'
+        });
+      }
+    });
+
+    logger.info(`Found ${this.gaps.deals.associationIssues.length} association issues across ${dealPairs.length} matched deals`);
+  }
+
   analyzeCloseDateIssues() {
     logger.info('🔍 Analyzing close date issues for won/lost deals...');
     
     // Find all HubSpot deals that are won/lost but missing close dates
     const wonLostDealsWithoutCloseDate = this.hubspotDeals.filter(deal => {
-      const stage = deal.properties.dealstage;
+      const status = getHubSpotDealStatus(deal.properties.dealstage, this.dealStages);
       const closeDate = deal.properties.closedate;
-      return (stage === 'closedwon' || stage === 'closedlost') && !closeDate;
+      return (status === 'won' || status === 'lost') && !closeDate;
     });
     
-    // Try to find matching AC deals to get the close date
-    wonLostDealsWithoutCloseDate.forEach(hsDeal => {
-      const dealName = hsDeal.properties.dealname?.toLowerCase().trim();
-      if (dealName) {
-        const matchingAcDeals = this.acDeals.filter(acDeal => 
-          acDeal.title?.toLowerCase().trim() === dealName
-        );
-        
-        if (matchingAcDeals.length > 0) {
-          const acDeal = matchingAcDeals[0]; // Take the first match
-          if (acDeal.edate) {
-            // Found a matching AC deal with a close date
-            this.gaps.deals.dateMismatches.push({
-              hubspotId: hsDeal.id,
-              activeCampaignId: acDeal.id,
-              dealName: hsDeal.properties.dealname,
-              hubspotCloseDate: null,
-              activeCampaignCloseDate: acDeal.edate,
-              correctCloseDate: acDeal.edate,
-              issueType: 'missing_close_date_in_hubspot',
-              priority: 'HIGH',
-              concern: 'Won/Lost deal missing close date in HubSpot - found in ActiveCampaign',
-              recommendation: `Set HubSpot close date to ${new Date(acDeal.edate).toLocaleDateString()}`
-            });
-          }
-        }
-      }
-    });
+    // Paired deals are already reported with the AC close date by analyzeCloseDateMismatch (Case 1)
+    const pairedHubSpotIds = new Set(this.dealMatches.pairs.map(({ hsRecord }) => String(hsRecord.id)));
+    const unpairedCount = wonLostDealsWithoutCloseDate.filter(deal => !pairedHubSpotIds.has(String(deal.id))).length;
     
-    logger.info(`Found ${wonLostDealsWithoutCloseDate.length} won/lost deals without close dates`);
+    logger.info(`Found ${wonLostDealsWithoutCloseDate.length} won/lost deals without close dates (${unpairedCount} without a matched ActiveCampaign deal)`);
   }
 }
 
@@ -995,6 +1740,7 @@ async function runGapAnalysis() {
     // Always fetch ActiveCampaign data for gap analysis
     await analyzer.getActiveCampaignContacts();
     await analyzer.getActiveCampaignDeals();
+    await analyzer.getActiveCampaignAccounts();
     
     // Analyze gaps using new comprehensive method
     await analyzer.analyzeData();
@@ -1025,5 +1771,8 @@ module.exports = DataGapAnalyzer;
 
 // Run if called directly
 if (require.main === module) {
-  runGapAnalysis();
+  runGapAnalysis().catch(error => {
+    logger.error(`Script failed: ${error.message}`);
+    process.exit(1);
+  });
 }
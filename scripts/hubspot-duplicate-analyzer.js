@@ -4,6 +4,37 @@ const HubSpotAPI = require('../utils/hubspot-api');
 const CSVReporter = require('../utils/csv-reporter');
 const FlagParser = require('../utils/flag-parser');
 const logger = require('../utils/logger');
+const { findSimilarGroups } = require('../utils/fuzzy-grouping');
+const { clusterDuplicates } = require('../utils/duplicate-clusters');
+const { hubspotContactEmails } = require('../utils/record-matchers');
+const { normalizeCompanyName, normalizePersonName, canonicalFirstNames, normalizePhone, registrableDomain } = require('../utils/normalize');
+const { jaroWinklerSimilarity, textSimilarity } = require('../utils/string-similarity');
+const { validateRules, rankRecords, decidingRule } = require('../utils/survivorship');
+const matchingConfig = require('../config/matching');
+const mergeRules = require('../config/merge-rules');
+const freeEmailDomainList = require('../config/free-email-domains');
+const config = require('../config');
+
+// Words too common in company names to be used as blocking keys
+const COMPANY_NAME_STOPWORDS = ['the', 'and', 'of', 'group', 'company'];
+
+// Evidence type recorded on cluster edges for each duplicate list
+const EVIDENCE_TYPES = {
+  byEmail: 'email',
+  byPhone: 'phone',
+  byName: 'name',
+  byCompany: 'company_and_name',
+  byCompanyAndName: 'company_and_name',
+  byDomain: 'domain'
+};
+
+// System-managed properties that differ on every record and aren't chosen in a merge
+const GOLDEN_RECORD_IGNORED_PROPERTIES = ['hs_object_id', 'lastmodifieddate', 'hs_lastmodifieddate'];
+
+// Registrable domains of a company's domain and website properties
+function companyDomains(company) {
+  return [...new Set([company.properties.domain, company.properties.website].map(registrableDomain).filter(Boolean))];
+}
 
 class DuplicateAnalyzer {
   constructor(options = {}) {
@@ -18,9 +49,12 @@ class DuplicateAnalyzer {
       flushCache: options.flushCache,
       cache: true,
       cacheTtl: options.cacheTtl,
-      cacheDir: options.cacheDir
+      cacheDir: options.cacheDir,
+      incremental: options.incremental,
+      allProperties: options.allProperties
     });
     this.csvReporter = new CSVReporter();
+    this.similarityThreshold = options.similarityThreshold || matchingConfig.duplicates.threshold;
     
     this.contacts = [];
     this.companies = [];
@@ -41,6 +75,25 @@ class DuplicateAnalyzer {
         byCompanyAndName: []
       }
     };
+    // Connected duplicate clusters across all of the lists above, built by buildDuplicateClusters()
+    this.clusters = {
+      contacts: [],
+      companies: [],
+      deals: []
+    };
+    // Field-by-field preview of each cluster's merged record, built by buildGoldenRecords()
+    this.goldenRecords = {
+      contacts: [],
+      companies: [],
+      deals: []
+    };
+    // Data quality issues found while looking for duplicates (not duplicates themselves)
+    this.dataQuality = {
+      contacts: {
+        invalidPhones: [],
+        unassociatedCompanyContacts: []
+      }
+    };
   }
 
   async getAllContacts() {
@@ -62,14 +115,15 @@ class DuplicateAnalyzer {
     logger.info('Analyzing contact email duplicates...');
     const emailGroups = {};
     
+    // Primary and additional emails are normalized (see config/email-normalization.js), so
+    // "jane+news@acme.com" and a contact listing "jane@acme.com" as a secondary email group together
     this.contacts.forEach(contact => {
-      const email = contact.properties.email?.toLowerCase().trim();
-      if (email && email !== '') {
+      hubspotContactEmails(contact).forEach(email => {
         if (!emailGroups[email]) {
           emailGroups[email] = [];
         }
         emailGroups[email].push(contact);
-      }
+      });
     });
 
     // Find groups with multiple contacts
@@ -98,15 +152,25 @@ class DuplicateAnalyzer {
     const phoneGroups = {};
     
     this.contacts.forEach(contact => {
-      let phone = contact.properties.phone?.replace(/\D/g, ''); // Remove non-digits
-      if (phone && phone.length >= 10) {
-        // Normalize to last 10 digits for US numbers
-        phone = phone.slice(-10);
-        if (!phoneGroups[phone]) {
-          phoneGroups[phone] = [];
-        }
-        phoneGroups[phone].push(contact);
+      // E.164, using the contact's country for numbers without a country code
+      const phone = normalizePhone(contact.properties.phone, contact.properties.country, config.settings.defaultPhoneRegion);
+      if (!phone) return;
+      
+      if (!phone.e164) {
+        this.dataQuality.contacts.invalidPhones.push({
+          id: contact.id,
+          name: `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim(),
+          email: contact.properties.email || '',
+          phone: contact.properties.phone,
+          country: contact.properties.country || ''
+        });
+        return;
+      }
+      
+      if (!phoneGroups[phone.e164]) {
+        phoneGroups[phone.e164] = [];
       }
+      phoneGroups[phone.e164].push(contact);
     });
 
     Object.keys(phoneGroups).forEach(phone => {
@@ -119,6 +183,7 @@ class DuplicateAnalyzer {
             name: `${c.properties.firstname || ''} ${c.properties.lastname || ''}`.trim(),
             email: c.properties.email || '',
             rawPhone: c.properties.phone,
+            country: c.properties.country || '',
             company: c.properties.company || ''
           }))
         });
@@ -126,44 +191,68 @@ class DuplicateAnalyzer {
     });
 
     logger.info(`Found ${this.duplicates.contacts.byPhone.length} phone duplicates`);
+    logger.info(`Found ${this.dataQuality.contacts.invalidPhones.length} unparseable phone numbers`);
   }
 
   findDuplicatesByName() {
     logger.info('Analyzing contact name duplicates...');
-    const nameGroups = {};
     
-    this.contacts.forEach(contact => {
-      const firstName = contact.properties.firstname?.toLowerCase().trim() || '';
-      const lastName = contact.properties.lastname?.toLowerCase().trim() || '';
-      
-      if (firstName && lastName) {
-        const fullName = `${firstName} ${lastName}`;
-        if (!nameGroups[fullName]) {
-          nameGroups[fullName] = [];
-        }
-        nameGroups[fullName].push(contact);
-      }
+    const groups = findSimilarGroups(this.contacts, {
+      getKey: contact => {
+        const firstName = normalizePersonName(contact.properties.firstname);
+        const lastName = normalizePersonName(contact.properties.lastname);
+        return firstName && lastName ? `${firstName} ${lastName}` : '';
+      },
+      // Last name prefix + first initial, and first name + last name start (catches later last name typos)
+      getBlockingKeys: contact => {
+        const lastName = normalizePersonName(contact.properties.lastname);
+        return canonicalFirstNames(contact.properties.firstname).flatMap(firstName => [
+          `last:${lastName.slice(0, 4)}|${firstName[0]}`,
+          `first:${firstName}|${lastName.slice(0, 2)}`
+        ]);
+      },
+      similarity: (a, b) => this.contactNameSimilarity(a, b),
+      threshold: this.similarityThreshold,
+      maxBlockSize: matchingConfig.duplicates.maxBlockSize,
+      label: 'contact names'
     });
-
-    Object.keys(nameGroups).forEach(name => {
-      if (nameGroups[name].length > 1) {
-        this.duplicates.contacts.byName.push({
-          name: name,
-          count: nameGroups[name].length,
-          contacts: nameGroups[name].map(c => ({
-            id: c.id,
-            email: c.properties.email || '',
-            company: c.properties.company || '',
-            phone: c.properties.phone || '',
-            lifecyclestage: c.properties.lifecyclestage
-          }))
-        });
-      }
+    
+    groups.forEach(group => {
+      this.duplicates.contacts.byName.push({
+        name: group.keys.join(' / '),
+        count: group.records.length,
+        score: group.score,
+        contacts: group.records.map(c => ({
+          id: c.id,
+          name: `${c.properties.firstname || ''} ${c.properties.lastname || ''}`.trim(),
+          email: c.properties.email || '',
+          company: c.properties.company || '',
+          phone: c.properties.phone || '',
+          lifecyclestage: c.properties.lifecyclestage
+        }))
+      });
     });
 
     logger.info(`Found ${this.duplicates.contacts.byName.length} name duplicates`);
   }
 
+  // Nicknames ("Bob" / "Robert") count as a near-exact first name match
+  contactNameSimilarity(a, b) {
+    const aFirstNames = canonicalFirstNames(a.properties.firstname);
+    const bFirstNames = canonicalFirstNames(b.properties.firstname);
+    const firstNameScore = normalizePersonName(a.properties.firstname) === normalizePersonName(b.properties.firstname)
+      ? 1
+      : aFirstNames.some(name => bFirstNames.includes(name))
+        ? 0.95
+        : jaroWinklerSimilarity(a.properties.firstname, b.properties.firstname);
+    const lastNameScore = jaroWinklerSimilarity(
+      normalizePersonName(a.properties.lastname),
+      normalizePersonName(b.properties.lastname)
+    );
+    
+    return firstNameScore * 0.4 + lastNameScore * 0.6;
+  }
+
   findDuplicatesByCompanyAndName() {
     logger.info('Analyzing contact company + name duplicates...');
     const companyNameGroups = {};
@@ -211,45 +300,46 @@ class DuplicateAnalyzer {
 
     logger.info('Analyzing company duplicates...');
     
-    // Duplicates by company name
-    const nameGroups = {};
-    this.companies.forEach(company => {
-      const name = company.properties.name?.toLowerCase().trim();
-      if (name && name !== '') {
-        if (!nameGroups[name]) {
-          nameGroups[name] = [];
-        }
-        nameGroups[name].push(company);
-      }
+    // Duplicates by company name - legal suffixes and punctuation are ignored ("Acme Inc." = "ACME, Inc")
+    const groups = findSimilarGroups(this.companies, {
+      getKey: company => normalizeCompanyName(company.properties.name),
+      getBlockingKeys: company => normalizeCompanyName(company.properties.name)
+        .split(' ')
+        .filter(word => !COMPANY_NAME_STOPWORDS.includes(word))
+        .map(word => word.slice(0, 4)),
+      similarity: (a, b) => textSimilarity(normalizeCompanyName(a.properties.name), normalizeCompanyName(b.properties.name)),
+      threshold: this.similarityThreshold,
+      maxBlockSize: matchingConfig.duplicates.maxBlockSize,
+      label: 'company names'
     });
-
-    Object.keys(nameGroups).forEach(name => {
-      if (nameGroups[name].length > 1) {
-        this.duplicates.companies.byName.push({
-          name: name,
-          count: nameGroups[name].length,
-          companies: nameGroups[name].map(c => ({
-            id: c.id,
-            domain: c.properties.domain || '',
-            website: c.properties.website || '',
-            phone: c.properties.phone || '',
-            city: c.properties.city || '',
-            industry: c.properties.industry || ''
-          }))
-        });
-      }
+    
+    groups.forEach(group => {
+      this.duplicates.companies.byName.push({
+        name: group.keys.join(' / '),
+        count: group.records.length,
+        score: group.score,
+        companies: group.records.map(c => ({
+          id: c.id,
+          name: c.properties.name || '',
+          domain: c.properties.domain || '',
+          website: c.properties.website || '',
+          phone: c.properties.phone || '',
+          city: c.properties.city || '',
+          industry: c.properties.industry || ''
+        }))
+      });
     });
 
-    // Duplicates by domain
+    // Duplicates by registrable domain of the domain and website properties
+    // ("www.acme.com", "https://shop.acme.com/" and "acme.com" are the same company)
     const domainGroups = {};
     this.companies.forEach(company => {
-      const domain = company.properties.domain?.toLowerCase().trim();
-      if (domain && domain !== '') {
+      companyDomains(company).forEach(domain => {
         if (!domainGroups[domain]) {
           domainGroups[domain] = [];
         }
         domainGroups[domain].push(company);
-      }
+      });
     });
 
     Object.keys(domainGroups).forEach(domain => {
@@ -260,6 +350,7 @@ class DuplicateAnalyzer {
           companies: domainGroups[domain].map(c => ({
             id: c.id,
             name: c.properties.name || '',
+            domain: c.properties.domain || '',
             website: c.properties.website || '',
             phone: c.properties.phone || '',
             city: c.properties.city || ''
@@ -272,6 +363,58 @@ class DuplicateAnalyzer {
     logger.info(`Found ${this.duplicates.companies.byDomain.length} company domain duplicates`);
   }
 
+  // Contacts whose email domain belongs to a company they aren't associated with.
+  // Free-mail domains (config/free-email-domains.js) are skipped.
+  async findUnassociatedCompanyContacts() {
+    if (this.contacts.length === 0 || this.companies.length === 0) {
+      logger.info('Skipping contact ↔ company domain check (needs contacts and companies)');
+      return;
+    }
+
+    logger.info('Analyzing contact ↔ company domain affinity...');
+    const freeEmailDomains = new Set(freeEmailDomainList.domains);
+
+    const companiesByDomain = new Map();
+    this.companies.forEach(company => {
+      companyDomains(company).forEach(domain => {
+        if (!companiesByDomain.has(domain)) companiesByDomain.set(domain, []);
+        companiesByDomain.get(domain).push(company);
+      });
+    });
+
+    // Contacts with a company on any of their email domains; associations are only fetched for these
+    const candidates = [];
+    this.contacts.forEach(contact => {
+      const domains = [...new Set(hubspotContactEmails(contact).map(registrableDomain))]
+        .filter(domain => domain && !freeEmailDomains.has(domain) && companiesByDomain.has(domain));
+      if (domains.length > 0) {
+        candidates.push({ contact, domains });
+      }
+    });
+
+    const associations = await this.hubspotAPI.getAssociations('contacts', 'companies', candidates.map(({ contact }) => contact.id));
+
+    candidates.forEach(({ contact, domains }) => {
+      const associatedIds = associations[contact.id] || [];
+      domains.forEach(domain => {
+        const companies = companiesByDomain.get(domain);
+        // Associated with any company on the domain (e.g. one of several duplicates) counts
+        if (companies.some(company => associatedIds.includes(String(company.id)))) return;
+
+        this.dataQuality.contacts.unassociatedCompanyContacts.push({
+          contactId: contact.id,
+          email: contact.properties.email || '',
+          name: `${contact.properties.firstname || ''} ${contact.properties.lastname || ''}`.trim(),
+          domain: domain,
+          associatedCompanyIds: associatedIds,
+          companies: companies.map(c => ({ id: c.id, name: c.properties.name || '' }))
+        });
+      });
+    });
+
+    logger.info(`Found ${this.dataQuality.contacts.unassociatedCompanyContacts.length} contacts not associated with their email domain's company`);
+  }
+
   findDealDuplicates() {
     if (this.deals.length === 0) {
       logger.info('No deals to analyze (likely free tier limitation)');
@@ -312,6 +455,98 @@ class DuplicateAnalyzer {
     logger.info(`Found ${this.duplicates.deals.byName.length} deal name duplicates`);
   }
 
+  // Joins the per-signal duplicate lists into clusters, so a contact matched by email to one record
+  // and by phone to another shows up once, with every link recorded as evidence
+  buildDuplicateClusters() {
+    logger.info('Clustering duplicates...');
+    
+    Object.entries(this.duplicates).forEach(([objectType, categories]) => {
+      const groups = [];
+      Object.entries(categories).forEach(([category, items]) => {
+        items.forEach(item => {
+          groups.push({
+            type: EVIDENCE_TYPES[category],
+            value: item.email || item.phone || item.domain || (item.company ? `${item.company} | ${item.name}` : item.name),
+            score: item.score,
+            records: item.contacts || item.companies || item.deals || []
+          });
+        });
+      });
+
+      this.clusters[objectType] = clusterDuplicates(groups, matchingConfig.clusters.evidenceWeights[objectType])
+        .map((cluster, index) => ({ id: `${objectType}-${index + 1}`, ...cluster }));
+      logger.info(`Found ${this.clusters[objectType].length} ${objectType} duplicate clusters`);
+    });
+  }
+
+  // Previews each cluster's merge: the primary record is picked by the survivorship rules in
+  // config/merge-rules.js (as the merge command does), and each property gets the value those rules
+  // prefer - the primary's, or the best-ranked record's when the primary's is empty. HubSpot's merge
+  // usually keeps the most recently updated value instead, so conflicts show what to fix afterwards.
+  async buildGoldenRecords() {
+    const sourceRecords = { contacts: this.contacts, companies: this.companies, deals: this.deals };
+
+    for (const [objectType, clusters] of Object.entries(this.clusters)) {
+      if (clusters.length === 0) continue;
+
+      logger.info(`Building ${objectType} golden record previews...`);
+      const rules = mergeRules.survivorship[objectType] || [];
+      validateRules(objectType, rules);
+
+      const recordsById = new Map(sourceRecords[objectType].map(record => [String(record.id), record]));
+      const ids = [...new Set(clusters.flatMap(cluster => cluster.records.map(record => String(record.id))))];
+      const associationCounts = new Map();
+      if (rules.includes('most_associations')) {
+        for (const toObjectType of mergeRules.associationTypes[objectType] || []) {
+          const associations = await this.hubspotAPI.getAssociations(objectType, toObjectType, ids);
+          Object.entries(associations).forEach(([id, toIds]) => {
+            associationCounts.set(id, (associationCounts.get(id) || 0) + toIds.length);
+          });
+        }
+      }
+
+      this.goldenRecords[objectType] = clusters.map(cluster => {
+        const ranked = rankRecords(cluster.records.map(record => {
+          const properties = recordsById.get(String(record.id))?.properties || {};
+          return {
+            id: String(record.id),
+            createdate: properties.createdate,
+            hubspotscore: properties.hubspotscore,
+            associations: associationCounts.get(String(record.id)) || 0
+          };
+        }), rules);
+        const fullRecords = ranked.map(record => recordsById.get(record.id) || { id: record.id, properties: {} });
+
+        // Every fetched property with a value on at least one record
+        const propertyNames = [...new Set(fullRecords.flatMap(record => Object.keys(record.properties)))]
+          .filter(property => !GOLDEN_RECORD_IGNORED_PROPERTIES.includes(property))
+          .sort();
+        const fields = propertyNames.map(property => {
+          const values = fullRecords.map(record => ({ recordId: String(record.id), value: record.properties[property] ?? null }));
+          const present = values.filter(({ value }) => value !== null && String(value).trim() !== '');
+          if (present.length === 0) return null;
+
+          return {
+            property,
+            preferredValue: present[0].value,
+            sourceRecordId: present[0].recordId,
+            conflict: new Set(present.map(({ value }) => String(value).trim().toLowerCase())).size > 1,
+            values
+          };
+        }).filter(Boolean);
+
+        return {
+          clusterId: cluster.id,
+          primaryId: ranked[0].id,
+          decidedBy: decidingRule(ranked[0], ranked[1], rules),
+          mergeIds: ranked.slice(1).map(record => record.id),
+          conflicts: fields.filter(field => field.conflict).map(field => field.property),
+          fields
+        };
+      });
+    }
+  }
+
   generateReport() {
     const report = {
       summary: {
@@ -331,9 +566,21 @@ class DuplicateAnalyzer {
         dealDuplicates: {
           byName: this.duplicates.deals.byName.length
         },
+        clusters: {
+          contacts: this.clusters.contacts.length,
+          companies: this.clusters.companies.length,
+          deals: this.clusters.deals.length
+        },
+        dataQuality: {
+          invalidPhones: this.dataQuality.contacts.invalidPhones.length,
+          unassociatedCompanyContacts: this.dataQuality.contacts.unassociatedCompanyContacts.length
+        },
         analyzedAt: new Date().toISOString()
       },
       duplicates: this.duplicates,
+      clusters: this.clusters,
+      goldenRecords: this.goldenRecords,
+      dataQuality: this.dataQuality,
       recommendations: this.generateRecommendations()
     };
 
@@ -393,6 +640,24 @@ class DuplicateAnalyzer {
       });
     }
 
+    if (this.dataQuality.contacts.invalidPhones.length > 0) {
+      recommendations.push({
+        type: 'contact_invalid_phone',
+        priority: 'low',
+        message: `${this.dataQuality.contacts.invalidPhones.length} contact phone numbers could not be parsed, so they were left out of phone duplicate detection.`,
+        action: 'Fix these numbers or set the contact country so the number can be read'
+      });
+    }
+
+    if (this.dataQuality.contacts.unassociatedCompanyContacts.length > 0) {
+      recommendations.push({
+        type: 'contact_company_association',
+        priority: 'medium',
+        message: `${this.dataQuality.contacts.unassociatedCompanyContacts.length} contacts have an email domain matching a company they aren't associated with.`,
+        action: 'Associate these contacts with their company (or merge duplicate companies first)'
+      });
+    }
+
     // Company recommendations
     if (this.duplicates.companies.byDomain.length > 0) {
       recommendations.push({
@@ -468,6 +733,32 @@ COMPANY DUPLICATES:
 DEAL DUPLICATES:
 - Name Duplicates: ${report.summary.dealDuplicates.byName}
 
+DUPLICATE CLUSTERS (linked across email, phone, name and company):
+- Contact Clusters: ${report.summary.clusters.contacts} (${this.clusters.contacts.reduce((total, cluster) => total + cluster.size, 0)} records)
+- Company Clusters: ${report.summary.clusters.companies} (${this.clusters.companies.reduce((total, cluster) => total + cluster.size, 0)} records)
+- Deal Clusters: ${report.summary.clusters.deals} (${this.clusters.deals.reduce((total, cluster) => total + cluster.size, 0)} records)
+
+LARGEST CLUSTERS:
+${[...this.clusters.contacts, ...this.clusters.companies, ...this.clusters.deals]
+  .sort((a, b) => b.size - a.size)
+  .slice(0, 5)
+  .map((cluster, index) => `${index + 1}. ${cluster.id}: ${cluster.size} records, confidence ${cluster.confidence} (${[...new Set(cluster.evidence.map(edge => edge.type))].join(', ')})`)
+  .join('\n') || 'None found'}
+
+GOLDEN RECORD PREVIEW (fields that differ between duplicates):
+- Clusters With Conflicting Fields: ${Object.values(this.goldenRecords).flat().filter(golden => golden.conflicts.length > 0).length} of ${Object.values(this.goldenRecords).flat().length}
+- Most Conflicting Fields: ${Object.entries(Object.values(this.goldenRecords).flat()
+  .flatMap(golden => golden.conflicts)
+  .reduce((counts, property) => ({ ...counts, [property]: (counts[property] || 0) + 1 }), {}))
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, 5)
+  .map(([property, count]) => `${property} (${count})`)
+  .join(', ') || 'None'}
+
+DATA QUALITY:
+- Unparseable Phone Numbers: ${report.summary.dataQuality.invalidPhones}
+- Contacts Not Associated With Their Email Domain's Company: ${report.summary.dataQuality.unassociatedCompanyContacts}
+
 TOP CONTACT EMAIL DUPLICATES:
 ${this.duplicates.contacts.byEmail.slice(0, 10).map((dup, index) => 
   `${index + 1}. ${dup.email} (${dup.count} contacts)`
@@ -478,11 +769,24 @@ ${this.duplicates.contacts.byPhone.slice(0, 5).map((dup, index) =>
   `${index + 1}. ${dup.phone} (${dup.count} contacts)`
 ).join('\n') || 'None found'}
 
+TOP FUZZY NAME MATCHES (threshold ${this.similarityThreshold}):
+${[...this.duplicates.contacts.byName, ...this.duplicates.companies.byName]
+  .filter(dup => dup.score < 1)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, 10)
+  .map((dup, index) => `${index + 1}. ${dup.name} (score ${dup.score}, ${dup.count} records)`)
+  .join('\n') || 'None found'}
+
 TOP COMPANY DOMAIN DUPLICATES:
 ${this.duplicates.companies.byDomain.slice(0, 5).map((dup, index) => 
   `${index + 1}. ${dup.domain} (${dup.count} companies)`
 ).join('\n') || 'None found (may be free tier limitation)'}
 
+CONTACTS NOT ASSOCIATED WITH THEIR EMAIL DOMAIN'S COMPANY:
+${this.dataQuality.contacts.unassociatedCompanyContacts.slice(0, 10).map((issue, index) =>
+  `${index + 1}. ${issue.email || issue.contactId} → ${issue.companies.map(c => c.name || c.id).join(', ')} (${issue.domain})`
+).join('\n') || 'None found'}
+
 RECOMMENDATIONS:
 ${report.recommendations.map((rec, index) => 
   `${index + 1}. [${rec.priority.toUpperCase()}] ${rec.message}\n   Action: ${rec.action}`
@@ -509,11 +813,15 @@ Full details saved to: reports/hubspot-duplicate-report.json
     this.addHubSpotUrls();
     
     const csvFilename = `hubspot-duplicate-report-${new Date().toISOString().split('T')[0]}.csv`;
-    const recordCount = await this.csvReporter.writeDuplicateReport(this.duplicates, csvFilename);
+    const recordCount = await this.csvReporter.writeDuplicateReport(this.clusters, csvFilename, this.goldenRecords);
     
     logger.info(`CSV report generated: reports/${csvFilename}`);
     logger.info(`Total actionable items: ${recordCount}`);
     
+    const goldenRecordFilename = `hubspot-golden-records-${new Date().toISOString().split('T')[0]}.csv`;
+    await this.csvReporter.writeGoldenRecordReport(this.goldenRecords, goldenRecordFilename);
+    logger.info(`Golden record preview generated: reports/${goldenRecordFilename}`);
+    
     return csvFilename;
   }
 
@@ -541,6 +849,15 @@ Full details saved to: reports/hubspot-duplicate-report.json
         });
       }
     });
+
+    // Cluster records are merged copies, so they need their own URLs
+    Object.entries(this.clusters).forEach(([objectType, clusters]) => {
+      clusters.forEach(cluster => {
+        cluster.records.forEach(record => {
+          record.hubspot_url = this.hubspotAPI.getRecordUrl(objectType, record.id);
+        });
+      });
+    });
   }
 }
 
@@ -602,9 +919,14 @@ async function runAnalysis() {
     if (options.includeCompanies) {
       analyzer.findCompanyDuplicates();
     }
+    if (options.includeContacts && options.includeCompanies) {
+      await analyzer.findUnassociatedCompanyContacts();
+    }
     if (options.includeDeals) {
       analyzer.findDealDuplicates();
     }
+    analyzer.buildDuplicateClusters();
+    await analyzer.buildGoldenRecords();
     
     const report = analyzer.generateReport();
     await analyzer.generateCSVReport();
@@ -629,5 +951,8 @@ module.exports = DuplicateAnalyzer;
 
 // Run if called directly
 if (require.main === module) {
-  runAnalysis();
+  runAnalysis().catch(error => {
+    logger.error(`Script failed: ${error.message}`);
+    process.exit(1);
+  });
 }
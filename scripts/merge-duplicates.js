@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const HubSpotAPI = require('../utils/hubspot-api');
+const logger = require('../utils/logger');
+const FlagParser = require('../utils/flag-parser');
+const IdCrosswalk = require('../utils/id-crosswalk');
+const { validateRules, rankRecords, decidingRule } = require('../utils/survivorship');
+const mergeRules = require('../config/merge-rules');
+const config = require('../config');
+
+const REPORT_PATH = path.join('reports', 'hubspot-duplicate-report.json');
+const PLAN_PATH = path.join('reports', 'merge-plan.json');
+const JOURNAL_PATH = path.join(__dirname, '..', 'data', 'merge-journal.jsonl');
+
+// Merges the duplicate clusters found by the duplicate analyzer through HubSpot's merge API.
+// A dry run writes the plan to reports/merge-plan.json; executed merges are appended to data/merge-journal.jsonl.
+class DuplicateMerger {
+  constructor(options = {}) {
+    this.options = options;
+    this.hubspot = new HubSpotAPI({ cacheDir: options.cacheDir });
+    this.minConfidence = options.minConfidence ?? mergeRules.minConfidence;
+    this.journalPath = options.journalPath || JOURNAL_PATH;
+    this.mergedCount = 0;
+    this.skippedCount = 0;
+    this.errorCount = 0;
+  }
+
+  async run() {
+    const plan = this.options.planFile
+      ? this.loadPlan(this.options.planFile)
+      : await this.buildPlan(this.options.jsonFile || REPORT_PATH);
+
+    const recordCount = plan.merges.reduce((total, merge) => total + merge.mergeIds.length, 0);
+    logger.info(`Merge plan: ${recordCount} records into ${plan.merges.length} primary records`);
+    plan.merges.forEach(merge => {
+      logger.info(`${merge.clusterId} (${merge.objectType}, confidence ${merge.confidence}): keep ${merge.primaryId} (${merge.decidedBy}), merge ${merge.mergeIds.join(', ')}`);
+    });
+
+    if (this.options.dryRun) {
+      this.writePlan(plan, PLAN_PATH);
+      logger.info('\nThis was a DRY RUN - no records were merged');
+      logger.info(`Review ${PLAN_PATH}, then run with --plan-file ${PLAN_PATH} to apply it`);
+      return plan;
+    }
+
+    if (plan.merges.length === 0) {
+      logger.info('Nothing to merge');
+      return plan;
+    }
+
+    if (!await this.confirm(recordCount, plan.merges.length)) {
+      logger.info('Merge cancelled - no records were merged');
+      return plan;
+    }
+
+    await this.executePlan(plan);
+
+    logger.info('\n=== MERGE SUMMARY ===');
+    logger.info(`Merged: ${this.mergedCount}`);
+    logger.info(`Skipped (already merged): ${this.skippedCount}`);
+    logger.info(`Errors: ${this.errorCount}`);
+    logger.info(`Journal: ${this.journalPath}`);
+    return plan;
+  }
+
+  // Clusters from the duplicate report for the selected object types, at or above the minimum confidence
+  loadClusters(reportPath) {
+    if (!fs.existsSync(reportPath)) {
+      throw new Error(`${reportPath} not found - run the duplicate analyzer first`);
+    }
+
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    if (!report.clusters) {
+      throw new Error(`${reportPath} has no duplicate clusters - rerun the duplicate analyzer`);
+    }
+
+    const objectTypes = [
+      this.options.includeContacts !== false && 'contacts',
+      this.options.includeCompanies !== false && 'companies',
+      this.options.includeDeals !== false && 'deals'
+    ].filter(Boolean);
+
+    return objectTypes.flatMap(objectType => (report.clusters[objectType] || [])
+      .filter(cluster => cluster.confidence >= this.minConfidence)
+      .map(cluster => ({ ...cluster, objectType })));
+  }
+
+  // Re-read every clustered record so survivorship uses current values, then pick each cluster's primary
+  async buildPlan(reportPath) {
+    const clusters = this.loadClusters(reportPath);
+    logger.info(`Planning merges for ${clusters.length} clusters with confidence ≥ ${this.minConfidence}`);
+
+    const alreadyMerged = this.loadJournal();
+    const merges = [];
+
+    for (const objectType of [...new Set(clusters.map(cluster => cluster.objectType))]) {
+      const typeClusters = clusters.filter(cluster => cluster.objectType === objectType);
+      const ids = [...new Set(typeClusters.flatMap(cluster => cluster.records.map(record => String(record.id))))]
+        .filter(id => !alreadyMerged.has(`${objectType}:${id}`));
+      const rules = mergeRules.survivorship[objectType] || [];
+      validateRules(objectType, rules);
+
+      const { results, errors } = await this.hubspot.batchRead(objectType, ids, ['createdate', 'hubspotscore']);
+      errors.forEach(error => {
+        logger.warn(`Could not read ${objectType} ${error.id} (deleted or already merged?): ${error.message}`);
+      });
+
+      const associationCounts = new Map(ids.map(id => [id, 0]));
+      if (rules.includes('most_associations')) {
+        for (const toObjectType of mergeRules.associationTypes[objectType] || []) {
+          const associations = await this.hubspot.getAssociations(objectType, toObjectType, ids);
+          Object.entries(associations).forEach(([id, toIds]) => {
+            associationCounts.set(id, (associationCounts.get(id) || 0) + toIds.length);
+          });
+        }
+      }
+
+      const currentById = new Map(results.map(record => [String(record.id), {
+        id: String(record.id),
+        createdate: record.properties.createdate || null,
+        hubspotscore: record.properties.hubspotscore || null,
+        associations: associationCounts.get(String(record.id)) || 0
+      }]));
+
+      typeClusters.forEach(cluster => {
+        const records = cluster.records.map(record => currentById.get(String(record.id))).filter(Boolean);
+        if (records.length < 2) {
+          logger.info(`Skipping ${cluster.id} - fewer than two of its records still exist`);
+          return;
+        }
+
+        const ranked = rankRecords(records, rules);
+        merges.push({
+          clusterId: cluster.id,
+          objectType,
+          confidence: cluster.confidence,
+          primaryId: ranked[0].id,
+          mergeIds: ranked.slice(1).map(record => record.id),
+          decidedBy: decidingRule(ranked[0], ranked[1], rules),
+          records: ranked
+        });
+      });
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      source: reportPath,
+      minConfidence: this.minConfidence,
+      survivorship: mergeRules.survivorship,
+      merges
+    };
+  }
+
+  writePlan(plan, planPath) {
+    fs.mkdirSync(path.dirname(planPath), { recursive: true });
+    fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+    logger.info(`📝 Merge plan saved to ${planPath}`);
+  }
+
+  loadPlan(planPath) {
+    if (!fs.existsSync(planPath)) {
+      throw new Error(`Merge plan ${planPath} not found - create one with --dry-run`);
+    }
+    const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+    logger.info(`📝 Loaded merge plan from ${planPath} (created ${plan.createdAt})`);
+    return plan;
+  }
+
+  async confirm(recordCount, primaryCount) {
+    if (this.options.yes) {
+      return true;
+    }
+    if (!process.stdin.isTTY) {
+      logger.error('Merges need confirmation - rerun in a terminal or pass --yes');
+      return false;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => {
+      rl.question(`\n⚠️  Merge ${recordCount} records into ${primaryCount} primary records in HubSpot? This cannot be undone. Type "merge" to continue: `, resolve);
+    });
+    rl.close();
+    return answer.trim().toLowerCase() === 'merge';
+  }
+
+  async executePlan(plan) {
+    const idCrosswalk = new IdCrosswalk();
+    const alreadyMerged = this.loadJournal();
+    const mergedTypes = new Set();
+
+    for (const merge of plan.merges) {
+      let primaryId = merge.primaryId;
+
+      for (const mergeId of merge.mergeIds) {
+        if (alreadyMerged.has(`${merge.objectType}:${mergeId}`)) {
+          logger.info(`Skipping ${merge.objectType} ${mergeId} - already merged according to the journal`);
+          this.skippedCount++;
+          continue;
+        }
+
+        try {
+          const result = await this.hubspot.mergeObjects(merge.objectType, primaryId, mergeId);
+          const resultId = String(result.id || primaryId);
+          this.appendJournal({ clusterId: merge.clusterId, objectType: merge.objectType, primaryId, mergedId: mergeId, resultId, status: 'merged' });
+
+          // Crosswalk entries pointing at either record now belong to the merged record
+          const crosswalk = idCrosswalk.get(merge.objectType);
+          crosswalk.replaceHubSpotId(mergeId, resultId);
+          if (resultId !== primaryId) {
+            crosswalk.replaceHubSpotId(primaryId, resultId);
+          }
+          // Saved per merge so an interrupted run never leaves the crosswalk behind the journal
+          idCrosswalk.save();
+
+          logger.info(`✓ Merged ${merge.objectType} ${mergeId} into ${resultId}`);
+          primaryId = resultId;
+          mergedTypes.add(merge.objectType);
+          this.mergedCount++;
+        } catch (error) {
+          const message = error.response?.data?.message || error.message;
+          this.appendJournal({ clusterId: merge.clusterId, objectType: merge.objectType, primaryId, mergedId: mergeId, status: 'failed', error: message });
+          logger.error(`✗ Failed to merge ${merge.objectType} ${mergeId} into ${primaryId}: ${message}`);
+          // Merges aren't retried: without a response HubSpot may still have applied it
+          if (!error.response || error.response.status >= 500) {
+            logger.warn(`  Check ${merge.objectType} ${mergeId} in HubSpot before rerunning - the merge may have gone through`);
+          }
+          this.errorCount++;
+        }
+
+        await this.hubspot.delay(config.settings.apiRateLimitDelay);
+      }
+    }
+
+    if (mergedTypes.size > 0) {
+      // Cached records and associations still include the merged-away records
+      mergedTypes.forEach(objectType => {
+        this.hubspot.clearCache(objectType);
+        (mergeRules.associationTypes[objectType] || []).forEach(toObjectType => {
+          this.hubspot.clearCache(`associations-${objectType}-${toObjectType}`);
+          this.hubspot.clearCache(`associations-${toObjectType}-${objectType}`);
+        });
+      });
+    }
+  }
+
+  appendJournal(entry) {
+    fs.mkdirSync(path.dirname(this.journalPath), { recursive: true });
+    fs.appendFileSync(this.journalPath, JSON.stringify({ mergedAt: new Date().toISOString(), ...entry }) + '\n');
+  }
+
+  // "<objectType>:<id>" of every record the journal says was merged away
+  loadJournal() {
+    const merged = new Set();
+    if (!fs.existsSync(this.journalPath)) {
+      return merged;
+    }
+
+    fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        const entry = JSON.parse(line);
+        if (entry.status === 'merged') {
+          merged.add(`${entry.objectType}:${entry.mergedId}`);
+        }
+      } catch (error) {
+        logger.warn(`Ignoring unreadable merge journal line: ${line}`);
+      }
+    });
+    return merged;
+  }
+}
+
+async function main() {
+  const flagParser = new FlagParser();
+  const flags = flagParser.parse();
+
+  if (flags.help) {
+    flagParser.showHelp('scripts/merge-duplicates.js', 'HubSpot Duplicate Merger');
+    return;
+  }
+
+  const merger = new DuplicateMerger(flags);
+  await merger.run();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Script failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = DuplicateMerger;
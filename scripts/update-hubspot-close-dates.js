@@ -4,6 +4,8 @@ const HubSpotAPI = require('../utils/hubspot-api');
 const ActiveCampaignAPI = require('../utils/activecampaign-api');
 const logger = require('../utils/logger');
 const FlagParser = require('../utils/flag-parser');
+const IdCrosswalk = require('../utils/id-crosswalk');
+const DealMatcher = require('../utils/deal-matcher');
 const { MIGRATION_DATE, isMigrationDate, getHubSpotDealStatus, getACDealStatus } = require('../config/migration-constants');
 
 class HubSpotCloseDateUpdater {
@@ -31,10 +33,9 @@ class HubSpotCloseDateUpdater {
       return;
     }
 
-    // Process each deal
-    for (const deal of migrationDeals) {
-      await this.processDeal(deal);
-    }
+    // Verify all deals in batches, then write the updates in batches
+    const verifiedDeals = await this.verifyDeals(migrationDeals);
+    await this.applyUpdates(verifiedDeals);
 
     // Summary
     logger.info('\n=== UPDATE SUMMARY ===');
@@ -55,48 +56,61 @@ class HubSpotCloseDateUpdater {
     // Get deals from both platforms
     const hubspotDeals = await this.hubspot.getAllDeals();
     const acDeals = await this.activeCampaign.getAllDeals();
+    const dealStages = await this.hubspot.getDealStageMap();
+    
+    // Close dates come from ActiveCampaign, so never update from a partial deal list
+    if (this.activeCampaign.incompleteDatasets.deals) {
+      throw new Error(`ActiveCampaign deals are incomplete (${this.activeCampaign.incompleteDatasets.deals.reason}) - refusing to update close dates`);
+    }
     
     logger.info(`Loaded ${hubspotDeals.length} HubSpot deals and ${acDeals.length} ActiveCampaign deals`);
     
-    // Create lookup map for AC deals
-    const acDealsByTitle = new Map();
-    acDeals.forEach(deal => {
-      const title = deal.title?.toLowerCase().trim();
-      if (title) {
-        acDealsByTitle.set(title, deal);
-      }
+    // Pair deals through the ID crosswalk (manual overrides first), then by confident multi-signal matches only.
+    // The matcher gets the same inputs as in the gap analyzer, so it pairs the deals the report showed.
+    const [hubspotContacts, hubspotCompanies, acContacts, acAccounts] = await Promise.all([
+      this.hubspot.getAllContacts(),
+      this.hubspot.getAllCompanies(),
+      this.activeCampaign.getAllContacts(),
+      this.activeCampaign.getAllAccounts()
+    ]);
+    const dealMatcher = await new DealMatcher().loadSignals({
+      hubspotAPI: this.hubspot,
+      activeCampaignAPI: this.activeCampaign,
+      hubspotDeals,
+      hubspotContacts,
+      hubspotCompanies,
+      acContacts,
+      acAccounts
     });
+    const idCrosswalk = new IdCrosswalk();
+    const { pairs } = idCrosswalk.matchRecords('deals', acDeals, hubspotDeals, (unpairedAC, unpairedHubSpot) => dealMatcher.match(unpairedAC, unpairedHubSpot));
+    // A dry run must not turn new matches into established crosswalk links
+    if (!this.dryRun) {
+      idCrosswalk.save();
+    }
     
     const migrationDeals = [];
     
     // Find HubSpot deals with migration date that have matching AC deals
-    for (const hsDeal of hubspotDeals) {
+    for (const { hsRecord: hsDeal, acRecord: matchingAcDeal } of pairs) {
       const hsCloseDate = hsDeal.properties.closedate;
       
       // Check if this deal has the migration date
-      if (hsCloseDate && isMigrationDate(hsCloseDate)) {
-        const dealName = hsDeal.properties.dealname?.toLowerCase().trim();
+      if (hsCloseDate && isMigrationDate(hsCloseDate) && matchingAcDeal.edate) {
+        // Only include deals that are won/lost (should have close dates)
+        const hsStatus = getHubSpotDealStatus(hsDeal.properties.dealstage, dealStages);
+        const acStatus = getACDealStatus(matchingAcDeal.status);
         
-        if (dealName) {
-          const matchingAcDeal = acDealsByTitle.get(dealName);
-          
-          if (matchingAcDeal && matchingAcDeal.edate) {
-            // Only include deals that are won/lost (should have close dates)
-            const hsStatus = getHubSpotDealStatus(hsDeal.properties.dealstage);
-            const acStatus = getACDealStatus(matchingAcDeal.status);
-            
-            if (hsStatus === 'won' || hsStatus === 'lost' || acStatus === 'won' || acStatus === 'lost') {
-              migrationDeals.push({
-                hubspotId: hsDeal.id,
-                dealName: hsDeal.properties.dealname,
-                currentCloseDate: hsCloseDate,
-                newCloseDate: matchingAcDeal.edate,
-                activeCampaignId: matchingAcDeal.id,
-                hubspotStatus: hsStatus,
-                activeCampaignStatus: acStatus
-              });
-            }
-          }
+        if (hsStatus === 'won' || hsStatus === 'lost' || acStatus === 'won' || acStatus === 'lost') {
+          migrationDeals.push({
+            hubspotId: hsDeal.id,
+            dealName: hsDeal.properties.dealname,
+            currentCloseDate: hsCloseDate,
+            newCloseDate: matchingAcDeal.edate,
+            activeCampaignId: matchingAcDeal.id,
+            hubspotStatus: hsStatus,
+            activeCampaignStatus: acStatus
+          });
         }
       }
     }
@@ -105,25 +119,34 @@ class HubSpotCloseDateUpdater {
     return migrationDeals;
   }
 
-  async processDeal(deal) {
-    try {
-      logger.info(`Processing deal: ${deal.dealName} (ID: ${deal.hubspotId})`);
-      
-      // Verify current close date is still the migration date
-      const currentDeal = await this.hubspot.getDeal(deal.hubspotId);
+  // Re-read the deals in batches and keep only those that still have the migration close date
+  async verifyDeals(migrationDeals) {
+    logger.info(`Verifying ${migrationDeals.length} deals in HubSpot...`);
+    
+    const { results, errors } = await this.hubspot.batchReadDeals(
+      migrationDeals.map(deal => deal.hubspotId),
+      ['dealname', 'dealstage', 'closedate']
+    );
+    
+    errors.forEach(error => {
+      logger.error(`Could not fetch deal ${error.id} from HubSpot: ${error.message}`);
+    });
+    
+    const currentDealsById = new Map(results.map(deal => [deal.id, deal]));
+    const verifiedDeals = [];
+    
+    for (const deal of migrationDeals) {
+      const currentDeal = currentDealsById.get(String(deal.hubspotId));
       if (!currentDeal) {
-        logger.error(`Could not fetch deal ${deal.hubspotId} from HubSpot`);
         this.errorCount++;
-        return;
+        continue;
       }
 
       const currentCloseDate = currentDeal.properties.closedate;
-      const isMigrationDateCheck = isMigrationDate(currentCloseDate);
-
-      if (!isMigrationDateCheck) {
+      if (!isMigrationDate(currentCloseDate)) {
         logger.info(`Skipping deal ${deal.dealName} - close date has been changed from migration date`);
         this.skippedCount++;
-        return;
+        continue;
       }
 
       // Convert AC date to HubSpot format (Unix timestamp in milliseconds)
@@ -131,33 +154,54 @@ class HubSpotCloseDateUpdater {
       if (isNaN(parsedDate.getTime())) {
         logger.error(`Invalid new close date for deal ${deal.dealName}: ${deal.newCloseDate}`);
         this.skippedCount++;
-        return;
-      }
-      const newCloseDate = parsedDate.getTime();
-      
-      if (this.dryRun) {
-        logger.info(`DRY RUN: Would update close date from ${new Date(currentCloseDate).toLocaleDateString()} to ${new Date(deal.newCloseDate).toLocaleDateString()}`);
-        this.updatedCount++;
-        return;
+        continue;
       }
 
-      // Update the deal in HubSpot
-      const updateResult = await this.hubspot.updateDeal(deal.hubspotId, {
-        closedate: newCloseDate
+      verifiedDeals.push({
+        ...deal,
+        currentCloseDate,
+        newCloseDateMs: parsedDate.getTime()
+      });
+    }
+    
+    logger.info(`${verifiedDeals.length} deals verified for update`);
+    return verifiedDeals;
+  }
+
+  async applyUpdates(verifiedDeals) {
+    if (verifiedDeals.length === 0) {
+      return;
+    }
+
+    if (this.dryRun) {
+      verifiedDeals.forEach(deal => {
+        logger.info(`DRY RUN: Would update ${deal.dealName} (ID: ${deal.hubspotId}) close date from ${new Date(deal.currentCloseDate).toLocaleDateString()} to ${new Date(deal.newCloseDate).toLocaleDateString()}`);
       });
+      this.updatedCount += verifiedDeals.length;
+      return;
+    }
+
+    // Update the deals in HubSpot
+    const { results, errors } = await this.hubspot.batchUpdateDeals(
+      verifiedDeals.map(deal => ({
+        id: deal.hubspotId,
+        properties: { closedate: deal.newCloseDateMs }
+      }))
+    );
 
-      if (updateResult) {
+    const updatedIds = new Set(results.map(deal => deal.id));
+    const errorsById = new Map(errors.map(error => [error.id, error.message]));
+
+    verifiedDeals.forEach(deal => {
+      const id = String(deal.hubspotId);
+      if (updatedIds.has(id)) {
         logger.info(`✓ Successfully updated close date for ${deal.dealName} to ${new Date(deal.newCloseDate).toLocaleDateString()}`);
         this.updatedCount++;
       } else {
-        logger.error(`✗ Failed to update close date for ${deal.dealName}`);
+        logger.error(`✗ Failed to update close date for ${deal.dealName}: ${errorsById.get(id) || 'no result returned'}`);
         this.errorCount++;
       }
-
-    } catch (error) {
-      logger.error(`Error processing deal ${deal.dealName}: ${error.message}`);
-      this.errorCount++;
-    }
+    });
   }
 }
 
@@ -0,0 +1,66 @@
+const DealMatcher = require('../utils/deal-matcher');
+
+jest.mock('../utils/logger');
+
+// AC stores deal values in cents
+const acDeal = (id, title, value) => ({ id, title, value: String(value * 100) });
+const hsDeal = (id, dealname, amount) => ({ id, properties: { dealname, amount: String(amount) } });
+const pairIds = pairs => pairs.map(pair => [pair.acRecord.id, pair.hsRecord.id]);
+
+describe('DealMatcher.match', () => {
+  test('pairs a clear best candidate', () => {
+    const matcher = new DealMatcher();
+    const pairs = matcher.match([acDeal('a1', 'Globex Rollout', 1000)], [
+      hsDeal('h1', 'Globex Rollout', 1000),
+      hsDeal('h2', 'Globex Rollout', 500)
+    ]);
+
+    expect(pairIds(pairs)).toEqual([['a1', 'h1']]);
+    expect(pairs[0]).toMatchObject({ matchedBy: 'signals', confidence: 1 });
+    expect(matcher.ambiguousMatches).toEqual([]);
+  });
+
+  test('reports a rival within the ambiguity margin instead of pairing', () => {
+    const matcher = new DealMatcher();
+    const pairs = matcher.match([acDeal('a1', 'Globex Rollout', 1000)], [
+      hsDeal('h1', 'Globex Rollout', 1000),
+      hsDeal('h2', 'Globex Rollout', 1000)
+    ]);
+
+    expect(pairs).toEqual([]);
+    expect(matcher.ambiguousMatches).toHaveLength(1);
+    expect(matcher.ambiguousMatches[0].candidates.map(candidate => candidate.hubspotId).sort()).toEqual(['h1', 'h2']);
+    expect([...matcher.reviewedHubSpotIds].sort()).toEqual(['h1', 'h2']);
+    expect([...matcher.reviewedActiveCampaignIds]).toEqual(['a1']);
+  });
+
+  test('uses the configured margin', () => {
+    const deals = [hsDeal('h1', 'Globex Rollout', 1000), hsDeal('h2', 'Globex Rollout', 900)];
+
+    // h2 scores 0.93 (amount 10% off) against h1's 1
+    expect(pairIds(new DealMatcher({ ambiguityMargin: 0.05 }).match([acDeal('a1', 'Globex Rollout', 1000)], deals))).toEqual([['a1', 'h1']]);
+    expect(new DealMatcher({ ambiguityMargin: 0.1 }).match([acDeal('a1', 'Globex Rollout', 1000)], deals)).toEqual([]);
+  });
+
+  test('ignores rivals already paired with another deal', () => {
+    const matcher = new DealMatcher();
+    const pairs = matcher.match([
+      acDeal('a1', 'Globex Rollout', 1000),
+      acDeal('a2', 'Globex Rollout', 900)
+    ], [
+      hsDeal('h1', 'Globex Rollout', 1000),
+      hsDeal('h2', 'Globex Rollout', 900)
+    ]);
+
+    expect(pairIds(pairs).sort()).toEqual([['a1', 'h1'], ['a2', 'h2']]);
+    expect(matcher.ambiguousMatches).toEqual([]);
+  });
+
+  test('keeps candidates below minConfidence for review', () => {
+    const matcher = new DealMatcher();
+    const pairs = matcher.match([acDeal('a1', 'Globex Rollout Phase', 1000)], [hsDeal('h1', 'Globex Rollout', 600)]);
+
+    expect(pairs).toEqual([]);
+    expect(matcher.lowConfidenceMatches.map(match => match.hubspotId)).toEqual(['h1']);
+  });
+});
@@ -0,0 +1,75 @@
+const { UnionFind, clusterDuplicates } = require('../utils/duplicate-clusters');
+
+const weights = { email: 0.95, phone: 0.75, name: 0.5 };
+const group = (type, ids, score) => ({ type, value: `${type}-${ids.join('-')}`, score, records: ids.map(id => ({ id })) });
+
+describe('UnionFind', () => {
+  test('joins sets transitively', () => {
+    const sets = new UnionFind();
+    sets.union('a', 'b');
+    sets.union('b', 'c');
+    expect(sets.find('a')).toBe(sets.find('c'));
+    expect(sets.find('d')).not.toBe(sets.find('a'));
+  });
+
+  test('returns null when both IDs are already in the same set', () => {
+    const sets = new UnionFind();
+    expect(sets.union('a', 'b')).not.toBeNull();
+    expect(sets.union('b', 'a')).toBeNull();
+  });
+});
+
+describe('clusterDuplicates', () => {
+  test('joins groups that share a record (A=B by email, B=C by phone)', () => {
+    const clusters = clusterDuplicates([group('email', ['A', 'B']), group('phone', ['B', 'C'])], weights);
+
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].size).toBe(3);
+    expect(clusters[0].records.map(record => record.id).sort()).toEqual(['A', 'B', 'C']);
+    expect(clusters[0].evidence.map(edge => edge.type).sort()).toEqual(['email', 'phone']);
+  });
+
+  test('keeps unconnected groups apart', () => {
+    const clusters = clusterDuplicates([group('email', ['A', 'B']), group('email', ['C', 'D'])], weights);
+    expect(clusters.map(cluster => cluster.size)).toEqual([2, 2]);
+  });
+
+  test('is only as confident as its weakest link', () => {
+    const [cluster] = clusterDuplicates([group('email', ['A', 'B']), group('phone', ['B', 'C'])], weights);
+    expect(cluster.confidence).toBe(0.75);
+  });
+
+  test('ignores weaker links that are not needed to connect the cluster', () => {
+    // A-C by name (0.5) is redundant: A-B-C is already connected by stronger evidence
+    const [cluster] = clusterDuplicates([
+      group('email', ['A', 'B']),
+      group('phone', ['B', 'C']),
+      group('name', ['A', 'C'])
+    ], weights);
+    expect(cluster.confidence).toBe(0.75);
+  });
+
+  test('combines evidence for the same pair', () => {
+    const [cluster] = clusterDuplicates([group('phone', ['A', 'B']), group('name', ['B', 'A'])], weights);
+    // 1 - (1 - 0.75) * (1 - 0.5)
+    expect(cluster.confidence).toBe(0.88);
+  });
+
+  test('scales evidence by the group score', () => {
+    const [cluster] = clusterDuplicates([group('name', ['A', 'B'], 0.8)], weights);
+    expect(cluster.confidence).toBe(0.4);
+  });
+
+  test('skips evidence types without a weight', () => {
+    expect(clusterDuplicates([group('address', ['A', 'B'])], weights)).toEqual([]);
+  });
+
+  test('sorts by confidence, then size', () => {
+    const clusters = clusterDuplicates([
+      group('name', ['A', 'B']),
+      group('email', ['C', 'D']),
+      group('email', ['E', 'F', 'G'])
+    ], weights);
+    expect(clusters.map(cluster => [cluster.confidence, cluster.size])).toEqual([[0.95, 3], [0.95, 2], [0.5, 2]]);
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  normalizeText,
+  tokenize,
+  levenshteinDistance,
+  levenshteinSimilarity,
+  tokenSetSimilarity,
+  jaroWinklerSimilarity,
+  textSimilarity
+} = require('../utils/string-similarity');
+
+describe('normalizeText', () => {
+  test('lowercases, drops punctuation and collapses whitespace', () => {
+    expect(normalizeText('  Acme,   Inc. ')).toBe('acme inc');
+  });
+
+  test('returns an empty string for missing values', () => {
+    expect(normalizeText(null)).toBe('');
+    expect(normalizeText(undefined)).toBe('');
+  });
+});
+
+describe('tokenize', () => {
+  test('splits normalized text into words', () => {
+    expect(tokenize('Acme - Renewal 2024')).toEqual(['acme', 'renewal', '2024']);
+  });
+
+  test('returns no words for empty values', () => {
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('levenshteinDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(levenshteinDistance('kitten', 'sitting')).toBe(3);
+    expect(levenshteinDistance('', 'abc')).toBe(3);
+    expect(levenshteinDistance('abc', 'abc')).toBe(0);
+  });
+});
+
+describe('levenshteinSimilarity', () => {
+  test('is relative to the longer string', () => {
+    expect(levenshteinSimilarity('kitten', 'sitting')).toBeCloseTo(1 - 3 / 7);
+  });
+
+  test('ignores case and punctuation', () => {
+    expect(levenshteinSimilarity('ACME Inc.', 'acme inc')).toBe(1);
+  });
+
+  test('is 0 when both values are empty', () => {
+    expect(levenshteinSimilarity('', null)).toBe(0);
+  });
+});
+
+describe('tokenSetSimilarity', () => {
+  test('ignores word order', () => {
+    expect(tokenSetSimilarity('Acme Renewal 2024', '2024 acme renewal')).toBe(1);
+  });
+
+  test('is the Dice coefficient of the word sets', () => {
+    expect(tokenSetSimilarity('acme renewal', 'acme upgrade')).toBe(0.5);
+  });
+
+  test('is 0 when either value has no words', () => {
+    expect(tokenSetSimilarity('acme', '')).toBe(0);
+  });
+});
+
+describe('jaroWinklerSimilarity', () => {
+  test('matches the reference value for MARTHA / MARHTA', () => {
+    expect(jaroWinklerSimilarity('MARTHA', 'MARHTA')).toBeCloseTo(0.961, 3);
+  });
+
+  test('matches the reference values for DWAYNE / DUANE and DIXON / DICKSONX', () => {
+    expect(jaroWinklerSimilarity('DWAYNE', 'DUANE')).toBeCloseTo(0.84, 2);
+    expect(jaroWinklerSimilarity('DIXON', 'DICKSONX')).toBeCloseTo(0.813, 3);
+  });
+
+  test('is 1 for identical and 0 for missing values', () => {
+    expect(jaroWinklerSimilarity('Alice', 'alice')).toBe(1);
+    expect(jaroWinklerSimilarity('alice', null)).toBe(0);
+  });
+});
+
+describe('textSimilarity', () => {
+  test('takes the better of character and word similarity', () => {
+    expect(textSimilarity('Acme Renewal 2024', '2024 Acme renewal')).toBe(1);
+    expect(textSimilarity('Acme Renewl', 'Acme Renewal')).toBeCloseTo(levenshteinSimilarity('Acme Renewl', 'Acme Renewal'));
+  });
+});
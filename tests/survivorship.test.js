@@ -0,0 +1,70 @@
+const { validateRules, rankRecords, decidingRule } = require('../utils/survivorship');
+
+const rules = ['oldest_createdate', 'highest_hubspotscore', 'most_associations'];
+const ids = records => records.map(record => record.id);
+
+describe('rankRecords', () => {
+  test('puts the oldest record first', () => {
+    const ranked = rankRecords([
+      { id: '1', createdate: '2024-01-01T00:00:00Z' },
+      { id: '2', createdate: '2023-01-01T00:00:00Z' }
+    ], rules);
+    expect(ids(ranked)).toEqual(['2', '1']);
+  });
+
+  test('ranks records without a createdate last', () => {
+    const ranked = rankRecords([
+      { id: '1' },
+      { id: '2', createdate: '2024-01-01T00:00:00Z' }
+    ], rules);
+    expect(ids(ranked)).toEqual(['2', '1']);
+  });
+
+  test('breaks createdate ties with the later rules in order', () => {
+    const createdate = '2023-01-01T00:00:00Z';
+    const ranked = rankRecords([
+      { id: '1', createdate, hubspotscore: '5', associations: 9 },
+      { id: '2', createdate, hubspotscore: '10', associations: 0 },
+      { id: '3', createdate, hubspotscore: '5', associations: 10 }
+    ], rules);
+    expect(ids(ranked)).toEqual(['2', '3', '1']);
+  });
+
+  test('breaks remaining ties by the lowest numeric ID', () => {
+    const ranked = rankRecords([{ id: '10' }, { id: '9' }, { id: '100' }], rules);
+    expect(ids(ranked)).toEqual(['9', '10', '100']);
+  });
+
+  test('falls back to comparing non-numeric IDs as text', () => {
+    expect(ids(rankRecords([{ id: 'b' }, { id: 'a' }], rules))).toEqual(['a', 'b']);
+  });
+
+  test('does not reorder the input array', () => {
+    const records = [{ id: '2' }, { id: '1' }];
+    rankRecords(records, rules);
+    expect(ids(records)).toEqual(['2', '1']);
+  });
+});
+
+describe('decidingRule', () => {
+  test('names the first rule that separates the primary from the runner-up', () => {
+    const createdate = '2023-01-01T00:00:00Z';
+    const primary = { id: '2', createdate, hubspotscore: '10' };
+    const runnerUp = { id: '1', createdate, hubspotscore: '5' };
+    expect(decidingRule(primary, runnerUp, rules)).toBe('highest_hubspotscore');
+  });
+
+  test('reports lowest_id when every rule ties', () => {
+    expect(decidingRule({ id: '1' }, { id: '2' }, rules)).toBe('lowest_id');
+  });
+});
+
+describe('validateRules', () => {
+  test('rejects unknown rules', () => {
+    expect(() => validateRules('contacts', ['oldest_createdate', 'newest'])).toThrow('newest');
+  });
+
+  test('accepts the configured rules', () => {
+    expect(() => validateRules('contacts', rules)).not.toThrow();
+  });
+});
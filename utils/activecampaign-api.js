@@ -1,8 +1,8 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('./logger');
+const APIHelper = require('./api-helper');
 
 class ActiveCampaignAPI {
   // Static mapping for object types
@@ -11,23 +11,36 @@ class ActiveCampaignAPI {
     deals: 'deal'
   };
 
+  // Overlap applied to watermarks to absorb clock and timezone skew
+  static WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
   constructor(options = {}) {
-    this.client = axios.create({
-      baseURL: config.activecampaign.apiUrl,
-      headers: {
-        'Api-Token': config.activecampaign.apiKey,
-        'Content-Type': 'application/json'
-      },
-      timeout: options.timeout || 30000
+    // Shared request layer retries 429/5xx/timeouts and keeps us under AC's 5 req/s limit
+    this.api = new APIHelper(config.activecampaign.apiUrl, {
+      'Api-Token': config.activecampaign.apiKey,
+      'Content-Type': 'application/json'
+    }, {
+      timeout: options.timeout || 30000,
+      maxRetries: config.settings.maxRetries,
+      retryBaseDelay: config.settings.retryBaseDelay,
+      retryMaxDelay: config.settings.retryMaxDelay,
+      requestsPerSecond: config.settings.activecampaignRequestsPerSecond
     });
+    this.client = this.api.client;
     
     // Cache configuration
     this.cacheOptions = {
       enabled: options.cache !== false,
       ttlMinutes: options.cacheTtl || config.settings.cacheTtlMinutes,
       directory: options.cacheDir || path.join(__dirname, '..', 'cache'),
-      flushCache: options.flushCache || false
+      flushCache: options.flushCache || false,
+      incremental: options.incremental || false
     };
+
+    // Strict mode turns fetch failures into errors instead of partial datasets
+    this.strict = options.strict || false;
+    // Datasets that could only be partially fetched: { objectType: { reason, fetched } }
+    this.incompleteDatasets = {};
     
     this.ensureCacheDirectory();
     this.cleanOldCache();
@@ -64,7 +77,8 @@ class ActiveCampaignAPI {
       const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
       const cacheTimestamp = metadata[objectType]?.timestamp;
       
-      if (!cacheTimestamp) {
+      // Partially fetched datasets are always refetched
+      if (!cacheTimestamp || metadata[objectType].incomplete) {
         return false;
       }
 
@@ -99,7 +113,7 @@ class ActiveCampaignAPI {
     }
   }
 
-  saveToCache(objectType, data) {
+  saveToCache(objectType, data, extraMetadata = {}) {
     if (!this.cacheOptions.enabled) {
       return;
     }
@@ -120,7 +134,8 @@ class ActiveCampaignAPI {
       metadata[objectType] = {
         timestamp: Date.now(),
         count: data.length,
-        ttlMinutes: this.cacheOptions.ttlMinutes
+        ttlMinutes: this.cacheOptions.ttlMinutes,
+        ...extraMetadata
       };
       
       fs.writeFileSync(metadataFile, JSON.stringify(metadata, null, 2));
@@ -142,7 +157,8 @@ class ActiveCampaignAPI {
   }
 
   cleanOldCache() {
-    if (!this.cacheOptions.enabled) return;
+    // Incremental mode merges deltas into expired cache files, so keep them around
+    if (!this.cacheOptions.enabled || this.cacheOptions.incremental) return;
 
     try {
       const metadataFile = this.getCacheMetadataPath();
@@ -178,95 +194,413 @@ class ActiveCampaignAPI {
   }
 
   async getAllContacts() {
-    const objectType = 'contacts';
-    
+    return this.getAllRecords('contacts', '/api/3/contacts', {
+      enrich: (contacts, changedContacts) => this.attachContactFieldValues(contacts, changedContacts)
+    });
+  }
+
+  async getAllDeals() {
+    return this.getAllRecords('deals', '/api/3/deals', {
+      enrich: (deals, changedDeals) => this.attachDealCustomFieldData(deals, changedDeals)
+    });
+  }
+
+  // Notes and tasks attached to contacts (reltype Subscriber) and deals (reltype Deal)
+  async getNotes() {
+    return this.getAllRecords('notes', '/api/3/notes', { incremental: false });
+  }
+
+  async getDealTasks() {
+    return this.getAllRecords('dealTasks', '/api/3/dealTasks', { incremental: false });
+  }
+
+  // Count notes and tasks per contact and deal: { contacts: { id: { notes, tasks } }, deals: { ... } }
+  async getActivityCounts() {
+    const [notes, tasks] = await Promise.all([
+      this.getNotes(),
+      this.getDealTasks()
+    ]);
+
+    const objectTypesByRelType = { subscriber: 'contacts', deal: 'deals' };
+    const counts = { contacts: {}, deals: {} };
+    const addActivity = (record, activityType) => {
+      const objectType = objectTypesByRelType[String(record.reltype || record.relType || '').toLowerCase()];
+      const relId = String(record.relid || record.relId || '');
+      if (!objectType || !relId || relId === '0') return;
+
+      if (!counts[objectType][relId]) {
+        counts[objectType][relId] = { notes: 0, tasks: 0 };
+      }
+      counts[objectType][relId][activityType]++;
+    };
+
+    notes.forEach(note => addActivity(note, 'notes'));
+    tasks.forEach(task => addActivity(task, 'tasks'));
+
+    return counts;
+  }
+
+  // Organizations (called accounts in API v3)
+  async getAllAccounts() {
+    return this.getAllRecords('accounts', '/api/3/accounts', { incremental: false });
+  }
+
+  // Tags and list subscriptions used for segmentation
+  async getTags() {
+    return this.getAllRecords('tags', '/api/3/tags', { incremental: false });
+  }
+
+  async getContactTags() {
+    return this.getAllRecords('contactTags', '/api/3/contactTags', { incremental: false });
+  }
+
+  async getLists() {
+    return this.getAllRecords('lists', '/api/3/lists', { incremental: false });
+  }
+
+  async getContactLists() {
+    return this.getAllRecords('contactLists', '/api/3/contactLists', { incremental: false });
+  }
+
+  // Map of contact ID to tag names and list names, split by subscription status
+  async getContactSegments() {
+    const [tags, contactTags, lists, contactLists] = await Promise.all([
+      this.getTags(),
+      this.getContactTags(),
+      this.getLists(),
+      this.getContactLists()
+    ]);
+
+    const tagNames = new Map(tags.map(tag => [String(tag.id), tag.tag]));
+    const listNames = new Map(lists.map(list => [String(list.id), list.name]));
+    const segments = {};
+    const getSegment = contactId => {
+      if (!segments[contactId]) {
+        segments[contactId] = { tags: [], lists: [], unsubscribedLists: [], bouncedLists: [] };
+      }
+      return segments[contactId];
+    };
+
+    contactTags.forEach(contactTag => {
+      const name = tagNames.get(String(contactTag.tag));
+      if (name) {
+        getSegment(String(contactTag.contact)).tags.push(name);
+      }
+    });
+
+    // Status 1 is an active subscription, 2 unsubscribed and 3 bounced
+    const listsByStatus = { '1': 'lists', '2': 'unsubscribedLists', '3': 'bouncedLists' };
+    contactLists.forEach(contactList => {
+      const name = listNames.get(String(contactList.list));
+      const key = listsByStatus[String(contactList.status)];
+      if (name && key) {
+        getSegment(String(contactList.contact))[key].push(name);
+      }
+    });
+
+    return segments;
+  }
+
+  // Custom field definitions and values
+  async getContactFields() {
+    return this.getAllRecords('fields', '/api/3/fields', { incremental: false });
+  }
+
+  async getContactFieldValues() {
+    return this.getAllRecords('fieldValues', '/api/3/fieldValues', { incremental: false });
+  }
+
+  async getDealCustomFieldMeta() {
+    return this.getAllRecords('dealCustomFieldMeta', '/api/3/dealCustomFieldMeta', { incremental: false });
+  }
+
+  async getDealCustomFieldData() {
+    return this.getAllRecords('dealCustomFieldData', '/api/3/dealCustomFieldData', { incremental: false });
+  }
+
+  // Records whose custom field values an incremental fetch has to load: the changed ones, plus any cached
+  // without values. Null means load every value, which is also cheaper when more records changed than
+  // the full download of valuesType takes pages.
+  recordsNeedingFieldValues(records, changedRecords, valuesType) {
+    if (!changedRecords) {
+      return null;
+    }
+
+    const changedIds = new Set(changedRecords.map(record => record.id));
+    const needed = records.filter(record => changedIds.has(record.id) || !record.fields);
+    const fullFetchPages = Math.ceil((this.getCachedCount(valuesType) || 0) / config.settings.batchSize);
+    return needed.length < fullFetchPages ? needed : null;
+  }
+
+  getCachedCount(objectType) {
+    const metadataFile = this.getCacheMetadataPath();
+    if (!fs.existsSync(metadataFile)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(metadataFile, 'utf8'))[objectType]?.count ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async fetchContactFieldValues(contacts) {
+    logger.info(`🔄 Fetching custom field values for ${contacts.length} changed ActiveCampaign contacts...`);
+    let fieldValues = [];
+    for (const contact of contacts) {
+      const response = await this.client.get(`/api/3/contacts/${contact.id}/fieldValues`);
+      fieldValues = fieldValues.concat(response.data.fieldValues || []);
+    }
+    return fieldValues;
+  }
+
+  async fetchDealCustomFieldData(deals) {
+    logger.info(`🔄 Fetching custom field values for ${deals.length} changed ActiveCampaign deals...`);
+    let fieldData = [];
+    for (const deal of deals) {
+      const records = await this.fetchPages('dealCustomFieldData', '/api/3/dealCustomFieldData', { 'filters[dealId]': deal.id });
+      fieldData = fieldData.concat(records);
+    }
+    return fieldData;
+  }
+
+  // Values for the target records, or every value when there are no targets. A failed per-record request
+  // falls back to the full download (targets: null) instead of failing the whole dataset.
+  async loadFieldValues(objectType, targets, fetchForRecords, fetchAll) {
+    if (targets) {
+      try {
+        return { targets, values: await fetchForRecords(targets) };
+      } catch (error) {
+        logger.warn(`Fetching custom field values of changed ActiveCampaign ${objectType} failed (${error.message}) - fetching all values instead`);
+      }
+    }
+    return { targets: null, values: await fetchAll() };
+  }
+
+  // Attach contact custom field values as contact.fields keyed by field title. Incremental fetches pass the
+  // changed contacts, so only their values are loaded; the other contacts keep their cached fields.
+  async attachContactFieldValues(contacts, changedContacts = null) {
+    const { targets, values: fieldValues } = await this.loadFieldValues(
+      'contacts',
+      this.recordsNeedingFieldValues(contacts, changedContacts, 'fieldValues'),
+      targets => this.fetchContactFieldValues(targets),
+      () => this.getContactFieldValues()
+    );
+    const fields = await this.getContactFields();
+
+    const titles = new Map(fields.map(field => [String(field.id), field.title]));
+    const valuesByContact = new Map();
+    fieldValues.forEach(fieldValue => {
+      const title = titles.get(String(fieldValue.field));
+      if (!title) return;
+
+      const contactId = String(fieldValue.contact);
+      if (!valuesByContact.has(contactId)) {
+        valuesByContact.set(contactId, {});
+      }
+      valuesByContact.get(contactId)[title] = fieldValue.value;
+    });
+
+    (targets || contacts).forEach(contact => {
+      contact.fields = valuesByContact.get(String(contact.id)) || {};
+    });
+
+    logger.info(`🏷️ Attached ${fieldValues.length} custom field values to ${(targets || contacts).length} ActiveCampaign contacts`);
+    return contacts;
+  }
+
+  // Attach deal custom field values as deal.fields keyed by field label (incremental like contacts)
+  async attachDealCustomFieldData(deals, changedDeals = null) {
+    const { targets, values: fieldData } = await this.loadFieldValues(
+      'deals',
+      this.recordsNeedingFieldValues(deals, changedDeals, 'dealCustomFieldData'),
+      targets => this.fetchDealCustomFieldData(targets),
+      () => this.getDealCustomFieldData()
+    );
+    const fieldMeta = await this.getDealCustomFieldMeta();
+
+    const labels = new Map(fieldMeta.map(field => [String(field.id), field.fieldLabel]));
+    const valuesByDeal = new Map();
+    fieldData.forEach(data => {
+      const label = labels.get(String(data.customFieldId));
+      if (!label) return;
+
+      const dealId = String(data.dealId);
+      if (!valuesByDeal.has(dealId)) {
+        valuesByDeal.set(dealId, {});
+      }
+      valuesByDeal.get(dealId)[label] = data.fieldValue;
+    });
+
+    (targets || deals).forEach(deal => {
+      deal.fields = valuesByDeal.get(String(deal.id)) || {};
+    });
+
+    logger.info(`🏷️ Attached ${fieldData.length} custom field values to ${(targets || deals).length} ActiveCampaign deals`);
+    return deals;
+  }
+
+  // Secondary deal contacts (the primary contact is deal.contact)
+  async getAllContactDeals() {
+    return this.getAllRecords('contactDeals', '/api/3/contactDeals', { incremental: false });
+  }
+
+  // Users that own contacts and deals
+  async getUsers() {
+    return this.getAllRecords('users', '/api/3/users', { incremental: false });
+  }
+
+  // Deal pipelines
+  async getDealGroups() {
+    return this.getAllRecords('dealGroups', '/api/3/dealGroups', { incremental: false });
+  }
+
+  async getDealStages() {
+    return this.getAllRecords('dealStages', '/api/3/dealStages', { incremental: false });
+  }
+
+  // Map of deal stage ID to stage and pipeline names
+  async getDealStageMap() {
+    const [groups, stages] = await Promise.all([
+      this.getDealGroups(),
+      this.getDealStages()
+    ]);
+
+    const groupsById = new Map(groups.map(group => [String(group.id), group]));
+    const stageMap = {};
+
+    stages.forEach(stage => {
+      const group = groupsById.get(String(stage.group));
+      stageMap[stage.id] = {
+        id: String(stage.id),
+        title: stage.title,
+        order: parseInt(stage.order) || 0,
+        pipelineId: stage.group ? String(stage.group) : null,
+        pipelineTitle: group?.title || null
+      };
+    });
+
+    return stageMap;
+  }
+
+  // Build deal → contact/organization links from deal.contact, deal.organization and contactDeals
+  async getDealAssociations() {
+    const [deals, contactDeals] = await Promise.all([
+      this.getAllDeals(),
+      this.getAllContactDeals()
+    ]);
+
+    const isLinked = id => id && id !== '0';
+    const associations = {};
+
+    deals.forEach(deal => {
+      associations[deal.id] = {
+        contacts: isLinked(deal.contact) ? [String(deal.contact)] : [],
+        organization: isLinked(deal.organization) ? String(deal.organization) : null
+      };
+    });
+
+    contactDeals.forEach(link => {
+      const entry = associations[link.deal];
+      if (entry && isLinked(link.contact) && !entry.contacts.includes(String(link.contact))) {
+        entry.contacts.push(String(link.contact));
+      }
+    });
+
+    return associations;
+  }
+
+  async getAllRecords(objectType, endpoint, options = {}) {
     // Try cache first
     const cachedData = this.loadFromCache(objectType);
     if (cachedData) {
       return cachedData;
     }
 
-    // Fetch from API
-    logger.info('🌐 Fetching contacts from ActiveCampaign API...');
-    let allContacts = [];
-    let offset = 0;
-    const limit = config.settings.batchSize;
+    const fetchStartedAt = Date.now();
+    const incrementalBase = options.incremental === false ? null : this.loadIncrementalBase(objectType);
+    let allRecords = [];
+    let changedRecords = null;
 
     try {
-      do {
-        const response = await this.client.get('/api/3/contacts', {
-          params: {
-            limit,
-            offset
-          }
-        });
-        
-        const contacts = response.data.contacts;
-        allContacts = allContacts.concat(contacts);
-        
-        logger.info(`📥 Fetched ${allContacts.length} ActiveCampaign contacts so far...`);
-        
-        if (contacts.length < limit) {
-          break;
-        }
-        
-        offset += limit;
-        await this.delay(config.settings.apiRateLimitDelay);
-        
-      } while (true);
-      
+      if (incrementalBase) {
+        // Fetch only records updated since the last watermark
+        const since = new Date(incrementalBase.watermark - ActiveCampaignAPI.WATERMARK_OVERLAP_MS).toISOString();
+        logger.info(`🔄 Fetching ActiveCampaign ${objectType} updated since ${since}...`);
+
+        changedRecords = await this.fetchPages(objectType, endpoint, { 'filters[updated_after]': since });
+        allRecords = this.mergeRecords(incrementalBase.data, changedRecords);
+
+        logger.info(`✅ Merged ${changedRecords.length} changed ActiveCampaign ${objectType} into ${incrementalBase.data.length} cached records`);
+      } else {
+        // Fetch from API
+        logger.info(`🌐 Fetching ${objectType} from ActiveCampaign API...`);
+        allRecords = await this.fetchPages(objectType, endpoint);
+
+        logger.info(`✅ Total ActiveCampaign ${objectType} fetched: ${allRecords.length}`);
+      }
+
+      // Attach related data (e.g. custom field values) before the records are cached; incremental
+      // fetches also pass the changed records
+      if (options.enrich) {
+        allRecords = await options.enrich(allRecords, changedRecords);
+      }
     } catch (error) {
-      logger.error('Error fetching ActiveCampaign contacts:', error.message);
+      logger.error(`Error fetching ActiveCampaign ${objectType}:`, error.message);
+      
+      let reason = error.message;
       if (error.code === 'ECONNABORTED') {
-        logger.warn('ActiveCampaign API timeout - returning empty data');
+        reason = 'ActiveCampaign API timeout';
       } else if (error.response?.status === 401) {
-        logger.warn('ActiveCampaign API authentication failed - check your API key');
+        reason = 'ActiveCampaign API authentication failed - check your API key';
       } else if (error.response?.status === 403) {
-        logger.warn('ActiveCampaign API access forbidden - check your API permissions');
-      } else {
-        logger.warn('ActiveCampaign API unavailable - returning empty data');
+        reason = 'ActiveCampaign API access forbidden - check your API permissions';
       }
-      return [];
+      
+      if (this.strict) {
+        throw new Error(`ActiveCampaign ${objectType} fetch failed: ${reason}`);
+      }
+      
+      // Keep the pages fetched before the failure and flag the dataset as incomplete
+      if (error.partialRecords) {
+        allRecords = incrementalBase ? this.mergeRecords(incrementalBase.data, error.partialRecords) : error.partialRecords;
+      }
+      this.incompleteDatasets[objectType] = { reason, fetched: allRecords.length };
+      logger.warn(`⚠️ ActiveCampaign ${objectType} fetch incomplete - continuing with ${allRecords.length} records (${reason})`);
+      
+      this.saveToCache(objectType, allRecords, { incomplete: true, reason });
+      return allRecords;
     }
 
-    logger.info(`✅ Total ActiveCampaign contacts fetched: ${allContacts.length}`);
-    
     // Save to cache
-    this.saveToCache(objectType, allContacts);
+    this.saveToCache(objectType, allRecords, { watermark: fetchStartedAt });
     
-    return allContacts;
+    return allRecords;
   }
 
-  async getAllDeals() {
-    const objectType = 'deals';
-    
-    // Try cache first
-    const cachedData = this.loadFromCache(objectType);
-    if (cachedData) {
-      return cachedData;
-    }
-
-    // Fetch from API
-    logger.info('🌐 Fetching deals from ActiveCampaign API...');
-    let allDeals = [];
+  // Page through an ActiveCampaign list endpoint using offset pagination
+  async fetchPages(objectType, endpoint, extraParams = {}) {
+    let allRecords = [];
     let offset = 0;
     const limit = config.settings.batchSize;
 
     try {
       do {
-        const response = await this.client.get('/api/3/deals', {
+        const response = await this.client.get(endpoint, {
           params: {
+            ...extraParams,
             limit,
             offset
           }
         });
         
-        const deals = response.data.deals;
-        allDeals = allDeals.concat(deals);
+        const records = response.data[objectType] || [];
+        allRecords = allRecords.concat(records);
         
-        logger.info(`📥 Fetched ${allDeals.length} ActiveCampaign deals so far...`);
+        logger.info(`📥 Fetched ${allRecords.length} ActiveCampaign ${objectType} so far...`);
         
-        if (deals.length < limit) {
+        if (records.length < limit) {
           break;
         }
         
@@ -274,33 +608,57 @@ class ActiveCampaignAPI {
         await this.delay(config.settings.apiRateLimitDelay);
         
       } while (true);
-      
     } catch (error) {
-      logger.error('Error fetching ActiveCampaign deals:', error.message);
-      if (error.code === 'ECONNABORTED') {
-        logger.warn('ActiveCampaign API timeout - returning empty data');
-      } else if (error.response?.status === 401) {
-        logger.warn('ActiveCampaign API authentication failed - check your API key');
-      } else if (error.response?.status === 403) {
-        logger.warn('ActiveCampaign API access forbidden - check your API permissions');
-      } else {
-        logger.warn('ActiveCampaign API unavailable - returning empty data');
-      }
-      return [];
+      // Hand the pages fetched so far to the caller
+      error.partialRecords = allRecords;
+      throw error;
     }
 
-    logger.info(`✅ Total ActiveCampaign deals fetched: ${allDeals.length}`);
-    
-    // Save to cache
-    this.saveToCache(objectType, allDeals);
-    
-    return allDeals;
+    return allRecords;
+  }
+
+  // Merge changed records into cached records, replacing by ID
+  mergeRecords(cachedRecords, changedRecords) {
+    const recordsById = new Map(cachedRecords.map(record => [record.id, record]));
+    changedRecords.forEach(record => recordsById.set(record.id, record));
+    return Array.from(recordsById.values());
+  }
+
+  // Load the expired cache and its watermark as the base for an incremental fetch
+  loadIncrementalBase(objectType) {
+    if (!this.cacheOptions.incremental || !this.cacheOptions.enabled || this.cacheOptions.flushCache) {
+      return null;
+    }
+
+    const cacheFile = this.getCacheFilePath(objectType);
+    const metadataFile = this.getCacheMetadataPath();
+    if (!fs.existsSync(cacheFile) || !fs.existsSync(metadataFile)) {
+      return null;
+    }
+
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+      const watermark = metadata[objectType]?.watermark;
+      if (!watermark) {
+        logger.info(`No watermark stored for ActiveCampaign ${objectType} - running full fetch`);
+        return null;
+      }
+
+      return {
+        watermark,
+        data: JSON.parse(fs.readFileSync(cacheFile, 'utf8'))
+      };
+    } catch (error) {
+      logger.warn(`Failed to read ActiveCampaign ${objectType} cache for incremental fetch:`, error.message);
+      return null;
+    }
   }
 
   async fetchAllDataConcurrently(options = {}) {
     const {
       includeContacts = true,
-      includeDeals = true
+      includeDeals = true,
+      includeAccounts = false
     } = options;
 
     logger.info('🚀 Starting concurrent ActiveCampaign data fetch...');
@@ -314,6 +672,10 @@ class ActiveCampaignAPI {
     if (includeDeals) {
       promises.push(this.getAllDeals().then(data => ({ type: 'deals', data })));
     }
+    
+    if (includeAccounts) {
+      promises.push(this.getAllAccounts().then(data => ({ type: 'accounts', data })));
+    }
 
     const results = await Promise.all(promises);
     
@@ -357,7 +719,8 @@ class ActiveCampaignAPI {
         stats.objects[objectType] = {
           count: info.count,
           age: this.getTimeAgo(info.timestamp),
-          valid: this.isCacheValid(objectType)
+          valid: this.isCacheValid(objectType),
+          incomplete: info.incomplete || false
         };
       });
 
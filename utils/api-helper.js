@@ -1,15 +1,30 @@
 const axios = require('axios');
 const logger = require('./logger');
 
+// HTTP statuses and network error codes that are worth retrying
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
 class APIHelper {
-  constructor(baseURL, headers = {}) {
+  constructor(baseURL, headers = {}, options = {}) {
     this.client = axios.create({
       baseURL,
-      headers
+      headers,
+      timeout: options.timeout
     });
-    
+
+    // Retry and throttling configuration
+    this.retryOptions = {
+      maxRetries: options.maxRetries ?? 5,
+      baseDelay: options.retryBaseDelay || 1000,
+      maxDelay: options.retryMaxDelay || 60000
+    };
+    this.minRequestInterval = options.requestsPerSecond ? Math.ceil(1000 / options.requestsPerSecond) : 0;
+    this.nextRequestAt = 0;
+
     this.client.interceptors.request.use(
-      config => {
+      async config => {
+        await this.throttle();
         logger.debug(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
@@ -22,19 +37,109 @@ class APIHelper {
     this.client.interceptors.response.use(
       response => {
         logger.debug(`API Response: ${response.status} ${response.config.url}`);
+        this.applyRateLimitHeaders(response.headers);
         return response;
       },
-      error => {
-        logger.error('API Response Error:', {
-          status: error.response?.status,
-          url: error.config?.url,
-          message: error.message
-        });
-        return Promise.reject(error);
-      }
+      error => this.handleResponseError(error)
     );
   }
 
+  // Reserve the next request slot so concurrent callers stay under the per-second limit
+  async throttle() {
+    const now = Date.now();
+    const scheduledAt = Math.max(now, this.nextRequestAt);
+    this.nextRequestAt = scheduledAt + this.minRequestInterval;
+
+    if (scheduledAt > now) {
+      await this.delay(scheduledAt - now);
+    }
+  }
+
+  // Pause upcoming requests when HubSpot reports the current rate limit window is exhausted
+  applyRateLimitHeaders(headers = {}) {
+    const remaining = parseInt(headers['x-hubspot-ratelimit-remaining']);
+    const intervalMs = parseInt(headers['x-hubspot-ratelimit-interval-milliseconds']);
+
+    if (!isNaN(remaining) && remaining <= 1 && !isNaN(intervalMs)) {
+      logger.warn(`HubSpot rate limit window exhausted - pausing requests for ${intervalMs}ms`);
+      this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + intervalMs);
+    }
+
+    const dailyRemaining = parseInt(headers['x-hubspot-ratelimit-daily-remaining']);
+    if (!isNaN(dailyRemaining) && dailyRemaining === 0) {
+      logger.error('HubSpot daily API limit reached - further requests will fail until the limit resets');
+    }
+  }
+
+  isRetryable(error) {
+    if (!error.config) {
+      return false;
+    }
+
+    // Requests can opt out of retries, e.g. non-idempotent writes. A 429 is still retried:
+    // the request was rejected before it was processed, so sending it again is safe.
+    if (error.config.retry === false) {
+      return error.response?.status === 429;
+    }
+
+    if (error.response) {
+      return RETRYABLE_STATUSES.includes(error.response.status);
+    }
+
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  getRetryDelay(error, attempt) {
+    const headers = error.response?.headers || {};
+
+    // Retry-After may be a number of seconds or an HTTP date
+    const retryAfter = headers['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const waitMs = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!isNaN(waitMs) && waitMs >= 0) {
+        return Math.min(waitMs, this.retryOptions.maxDelay);
+      }
+    }
+
+    // HubSpot 429s tell us how long the rate limit window is
+    const intervalMs = parseInt(headers['x-hubspot-ratelimit-interval-milliseconds']);
+    if (error.response?.status === 429 && !isNaN(intervalMs)) {
+      return intervalMs;
+    }
+
+    // Exponential backoff with jitter
+    const backoff = Math.min(this.retryOptions.baseDelay * Math.pow(2, attempt - 1), this.retryOptions.maxDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  async handleResponseError(error) {
+    const requestConfig = error.config;
+    const attempt = (requestConfig?.retryAttempt || 0) + 1;
+
+    if (this.isRetryable(error) && attempt <= this.retryOptions.maxRetries) {
+      const waitMs = this.getRetryDelay(error, attempt);
+      const reason = error.response?.status || error.code;
+
+      logger.warn(`Retrying ${requestConfig.method?.toUpperCase()} ${requestConfig.url} in ${waitMs}ms (${reason}, attempt ${attempt}/${this.retryOptions.maxRetries})`);
+
+      // Keep later requests from piling onto the same rate limit window
+      this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + waitMs);
+      await this.delay(waitMs);
+
+      requestConfig.retryAttempt = attempt;
+      return this.client.request(requestConfig);
+    }
+
+    logger.error('API Response Error:', {
+      status: error.response?.status,
+      url: requestConfig?.url,
+      message: error.message,
+      attempts: attempt
+    });
+    return Promise.reject(error);
+  }
+
   async get(endpoint, params = {}) {
     return this.client.get(endpoint, { params });
   }
@@ -47,6 +152,10 @@ class APIHelper {
     return this.client.put(endpoint, data);
   }
 
+  async patch(endpoint, data = {}) {
+    return this.client.patch(endpoint, data);
+  }
+
   async delete(endpoint) {
     return this.client.delete(endpoint);
   }
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Persistent ActiveCampaign ID → HubSpot ID mapping stored as JSON in data/
+// Entries with matchedBy 'manual' are edited by hand and never overwritten by automatic matching.
+class Crosswalk {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.filePath = path.join(options.dataDir || path.join(__dirname, '..', 'data'), `${name}-crosswalk.json`);
+    this.entries = {};
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = data.entries || {};
+      logger.info(`📇 Loaded ${Object.keys(this.entries).length} ${this.name} crosswalk entries`);
+    } catch (error) {
+      logger.warn(`Failed to read ${this.name} crosswalk:`, error.message);
+      this.entries = {};
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    }, null, 2));
+    logger.info(`💾 Saved ${Object.keys(this.entries).length} ${this.name} crosswalk entries to ${this.filePath}`);
+  }
+
+  getEntry(activeCampaignId) {
+    return this.entries[String(activeCampaignId)] || null;
+  }
+
+  getHubSpotId(activeCampaignId) {
+    return this.getEntry(activeCampaignId)?.hubspotId || null;
+  }
+
+  getActiveCampaignId(hubspotId) {
+    const match = Object.entries(this.entries).find(([, entry]) => entry.hubspotId === String(hubspotId));
+    return match ? match[0] : null;
+  }
+
+  isManual(activeCampaignId) {
+    return this.getEntry(activeCampaignId)?.matchedBy === 'manual';
+  }
+
+  // Record a match; returns false when a manual entry takes precedence
+  set(activeCampaignId, hubspotId, matchedBy, details = {}) {
+    if (matchedBy !== 'manual' && this.isManual(activeCampaignId)) {
+      return false;
+    }
+
+    this.entries[String(activeCampaignId)] = {
+      hubspotId: hubspotId ? String(hubspotId) : null,
+      matchedBy,
+      ...details,
+      updatedAt: new Date().toISOString()
+    };
+    return true;
+  }
+
+  // Point entries at the surviving record after a HubSpot merge, manual entries included
+  // (the merged-away record no longer exists). Returns the number of entries changed.
+  replaceHubSpotId(oldHubspotId, newHubspotId) {
+    let changed = 0;
+    Object.values(this.entries).forEach(entry => {
+      if (entry.hubspotId === String(oldHubspotId)) {
+        entry.hubspotId = String(newHubspotId);
+        entry.updatedAt = new Date().toISOString();
+        changed++;
+      }
+    });
+    return changed;
+  }
+}
+
+module.exports = Crosswalk;
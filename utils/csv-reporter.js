@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const logger = require('./logger');
+const matchingConfig = require('../config/matching');
 
 class CSVReporter {
   constructor() {
@@ -25,85 +26,64 @@ class CSVReporter {
     }
   }
 
-  async writeDuplicateReport(duplicates, filename) {
+  // One row per duplicate cluster; evidence lists every signal that links the cluster's records.
+  // With golden record previews, the primary record is listed first and conflicting fields are named.
+  async writeDuplicateReport(clusters, filename, goldenRecords = {}) {
     const csvData = [];
+    const { highConfidence, mediumConfidence } = matchingConfig.clusters;
     
-    // Process all duplicate categories
-    Object.entries(duplicates).forEach(([objectType, categories]) => {
-      Object.entries(categories).forEach(([category, items]) => {
-        if (Array.isArray(items)) {
-          items.forEach(item => {
-            let identifier, records, priority = 'MEDIUM';
-            
-            // Handle different duplicate structures
-            if (item.email) {
-              identifier = item.email;
-              records = item.contacts || [];
-              priority = 'HIGH';
-            } else if (item.phone) {
-              identifier = item.phone;
-              records = item.contacts || [];
-              priority = 'MEDIUM';
-            } else if (item.name) {
-              identifier = item.name;
-              records = item.contacts || [];
-              priority = 'LOW';
-            } else if (item.domain) {
-              identifier = item.domain;
-              records = item.companies || [];
-              priority = 'HIGH';
-            } else if (item.company) {
-              identifier = item.company;
-              records = item.companies || [];
-              priority = 'MEDIUM';
-            } else if (item.deal) {
-              identifier = item.deal;
-              records = item.deals || [];
-              priority = 'MEDIUM';
-            } else if (item.identifier) {
-              identifier = item.identifier;
-              records = item.records || [];
-              priority = item.priority || 'MEDIUM';
-            } else {
-              // Skip unknown structures
-              return;
-            }
-
-            csvData.push({
-              object_type: objectType,
-              duplicate_type: category,
-              priority: priority,
-              identifier: identifier,
-              count: item.count || records.length,
-              record_ids: records.map(r => r.id).join(', '),
-              hubspot_links: records.map(r => r.hubspot_url || '').join(', '),
-              details: item.details || ''
-            });
-          });
-        }
+    Object.entries(clusters).forEach(([objectType, objectClusters]) => {
+      const goldenByCluster = new Map((goldenRecords[objectType] || []).map(golden => [golden.clusterId, golden]));
+      objectClusters.forEach(cluster => {
+        const golden = goldenByCluster.get(cluster.id);
+        const order = golden ? [golden.primaryId, ...golden.mergeIds] : [];
+        const records = [...cluster.records].sort((a, b) => order.indexOf(String(a.id)) - order.indexOf(String(b.id)));
+        const evidence = [...new Set(cluster.evidence.map(edge =>
+          `${edge.type}: ${edge.value}${edge.score < 1 ? ` (${edge.score})` : ''}`
+        ))];
+
+        csvData.push({
+          object_type: objectType,
+          cluster_id: cluster.id,
+          priority: cluster.confidence >= highConfidence ? 'HIGH' : cluster.confidence >= mediumConfidence ? 'MEDIUM' : 'LOW',
+          confidence: cluster.confidence,
+          count: cluster.size,
+          evidence_types: [...new Set(cluster.evidence.map(edge => edge.type))].join(', '),
+          evidence: evidence.join('; '),
+          primary_record: golden ? `${golden.primaryId} (${golden.decidedBy})` : '',
+          records: records.map(r => [
+            r.id,
+            golden && String(r.id) === golden.primaryId ? '(primary)' : '',
+            r.name || r.email || '',
+            r.hubspot_url || ''
+          ].filter(Boolean).join(' ')).join('; '),
+          conflicting_fields: golden ? golden.conflicts.join(', ') : ''
+        });
       });
     });
 
-    // Sort by priority (HIGH first) and count (descending)
+    // Sort by priority (HIGH first), confidence and size (descending)
     const priorityRank = { 'HIGH': 3, 'MEDIUM': 2, 'LOW': 1 };
     csvData.sort((a, b) => {
       if (priorityRank[a.priority] !== priorityRank[b.priority]) {
         return priorityRank[b.priority] - priorityRank[a.priority];
       }
-      return b.count - a.count;
+      return b.confidence - a.confidence || b.count - a.count;
     });
 
     const csvWriter = createCsvWriter({
       path: path.join(this.reportsDir, filename),
       header: [
         { id: 'object_type', title: 'Object Type' },
-        { id: 'duplicate_type', title: 'Duplicate Type' },
+        { id: 'cluster_id', title: 'Cluster' },
         { id: 'priority', title: 'Priority' },
-        { id: 'identifier', title: 'Identifier' },
-        { id: 'count', title: 'Count' },
-        { id: 'record_ids', title: 'Record IDs' },
-        { id: 'hubspot_links', title: 'HubSpot Links' },
-        { id: 'details', title: 'Details' }
+        { id: 'confidence', title: 'Confidence' },
+        { id: 'count', title: 'Record Count' },
+        { id: 'evidence_types', title: 'Evidence Types' },
+        { id: 'evidence', title: 'Evidence' },
+        { id: 'primary_record', title: 'Primary Record' },
+        { id: 'records', title: 'Records' },
+        { id: 'conflicting_fields', title: 'Conflicting Fields' }
       ]
     });
 
@@ -112,9 +92,68 @@ class CSVReporter {
     return csvData.length;
   }
 
+  // One row per cluster and property: the value the survivorship rules prefer, the record it comes from,
+  // and every record's value
+  async writeGoldenRecordReport(goldenRecords, filename) {
+    const csvData = [];
+    
+    Object.entries(goldenRecords).forEach(([objectType, objectGoldenRecords]) => {
+      objectGoldenRecords.forEach(golden => {
+        golden.fields.forEach(field => {
+          csvData.push({
+            object_type: objectType,
+            cluster_id: golden.clusterId,
+            primary_id: golden.primaryId,
+            property: field.property,
+            preferred_value: field.preferredValue,
+            source_record_id: field.sourceRecordId,
+            conflict: field.conflict ? 'YES' : 'NO',
+            values: field.values.map(({ recordId, value }) => `${recordId}: ${value ?? ''}`).join(' | ')
+          });
+        });
+      });
+    });
+
+    const csvWriter = createCsvWriter({
+      path: path.join(this.reportsDir, filename),
+      header: [
+        { id: 'object_type', title: 'Object Type' },
+        { id: 'cluster_id', title: 'Cluster' },
+        { id: 'primary_id', title: 'Primary Record' },
+        { id: 'property', title: 'Property' },
+        { id: 'preferred_value', title: 'Survivorship-Preferred Value' },
+        { id: 'source_record_id', title: 'Preferred Value Source Record' },
+        { id: 'conflict', title: 'Conflict' },
+        { id: 'values', title: 'Values By Record' }
+      ]
+    });
+
+    await csvWriter.writeRecords(csvData);
+    logger.info(`Golden record preview written to ${filename}`);
+    return csvData.length;
+  }
+
   async writeGapReport(gaps, filename) {
     const csvData = [];
     
+    // Flag partially fetched or unavailable data first so the report isn't taken at face value
+    (gaps.incompleteData || []).forEach(dataset => {
+      const source = dataset.source || 'activecampaign';
+      csvData.push({
+        gap_type: 'incomplete_data',
+        object_type: dataset.objectType,
+        priority: 'HIGH',
+        identifier: `${source}-${dataset.objectType}`,
+        ...this.getDefaultFields(),
+        details: source === 'hubspot'
+          ? `${dataset.reason} - gaps involving this data were skipped or are unreliable`
+          : `Only ${dataset.fetched} records fetched (${dataset.reason}) - gaps involving this data are unreliable`,
+        action: source === 'hubspot'
+          ? 'Check the HubSpot plan and private app scopes, then re-run the analysis'
+          : 'Re-run the analysis once ActiveCampaign data can be fetched completely'
+      });
+    });
+    
     // Process missing contacts
     gaps.contacts.missingInHubSpot.forEach(contact => {
       csvData.push({
@@ -153,6 +192,103 @@ class CSVReporter {
       });
     });
 
+    // Phone numbers that couldn't be parsed to E.164 and so weren't compared
+    (gaps.contacts.invalidPhones || []).forEach(issue => {
+      csvData.push({
+        gap_type: 'invalid_phone',
+        object_type: 'contact',
+        priority: 'LOW',
+        identifier: issue.email,
+        ...this.getDefaultFields(),
+        details: `Unparseable ${issue.platform === 'hubspot' ? 'HubSpot' : 'ActiveCampaign'} phone "${issue.phone}"${issue.country ? ` (country: ${issue.country})` : ''}`,
+        action: 'Fix the phone number or set the contact country'
+      });
+    });
+
+    // Process contact owner mismatches
+    (gaps.contacts.ownerMismatches || []).forEach(mismatch => {
+      csvData.push({
+        gap_type: mismatch.issueType,
+        object_type: 'contact',
+        priority: 'MEDIUM',
+        identifier: mismatch.email,
+        ...this.getDefaultFields(),
+        details: `ActiveCampaign owner: ${mismatch.activeCampaignOwner}, expected HubSpot owner: ${mismatch.expectedOwner}, HubSpot owner: ${mismatch.hubspotOwner}`,
+        action: 'Reassign contact owner in HubSpot'
+      });
+    });
+
+    // Process contact custom field mismatches
+    (gaps.contacts.customFieldMismatches || []).forEach(mismatch => {
+      csvData.push({
+        gap_type: 'custom_field_mismatch',
+        object_type: 'contact',
+        priority: 'MEDIUM',
+        identifier: mismatch.email,
+        ...this.getDefaultFields(),
+        details: mismatch.mismatches.map(d => `${d.field} → ${d.property}: "${d.activecampaign ?? ''}" vs "${d.hubspot ?? ''}"`).join('; '),
+        action: 'Update HubSpot property from ActiveCampaign custom field'
+      });
+    });
+
+    // Process consent violations (unsubscribed/bounced in AC but still marketable in HubSpot)
+    (gaps.contacts.consentViolations || []).forEach(violation => {
+      csvData.push({
+        gap_type: 'consent_violation',
+        object_type: 'contact',
+        priority: 'HIGH',
+        identifier: violation.email,
+        ...this.getDefaultFields(),
+        details: violation.reasons.some(reason => reason !== 'unsubscribed_from_list')
+          ? `${violation.reasons.join(' and ')} in ActiveCampaign, HubSpot hs_email_optout: ${violation.hubspotEmailOptOut || 'empty'}${violation.subscribedTypes.length > 0 ? `, not opted out of: ${violation.subscribedTypes.join(', ')}` : ''}`
+          : `Unsubscribed from ActiveCampaign lists but still subscribed in HubSpot: ${violation.listTypeMismatches.join(', ')}`,
+        action: violation.reasons.some(reason => reason !== 'unsubscribed_from_list')
+          ? 'Opt contact out of all email in HubSpot'
+          : 'Opt contact out of the listed HubSpot subscription types'
+      });
+    });
+
+    // Process tag/list segmentation issues
+    (gaps.contacts.segmentationIssues || []).forEach(issue => {
+      csvData.push({
+        gap_type: `${issue.source}_not_migrated`,
+        object_type: 'contact',
+        priority: 'MEDIUM',
+        identifier: issue.email,
+        ...this.getDefaultFields(),
+        details: `ActiveCampaign ${issue.source} "${issue.name}": expected ${issue.expected}, HubSpot has ${issue.actual}`,
+        action: 'Update HubSpot segmentation to match ActiveCampaign'
+      });
+    });
+
+    // Process contacts with missing notes/tasks
+    (gaps.contacts.activityGaps || []).forEach(gap => {
+      csvData.push({
+        gap_type: 'missing_activity',
+        object_type: 'contact',
+        priority: 'MEDIUM',
+        identifier: gap.identifier,
+        ...this.getDefaultFields(),
+        details: `Notes: ${gap.activeCampaignNotes} in ActiveCampaign vs ${gap.hubspotNotes} in HubSpot, tasks: ${gap.activeCampaignTasks} vs ${gap.hubspotTasks}`,
+        action: 'Re-import missing notes and tasks'
+      });
+    });
+
+    // ActiveCampaign users without a HubSpot owner
+    if (gaps.owners) {
+      gaps.owners.unmatchedUsers.forEach(user => {
+        csvData.push({
+          gap_type: 'unmatched_owner',
+          object_type: 'owner',
+          priority: 'MEDIUM',
+          identifier: user.email || user.name,
+          ...this.getDefaultFields(),
+          details: `ActiveCampaign user ${user.id} (${user.name}) has no HubSpot owner with the same email`,
+          action: 'Create the user in HubSpot or add a manual entry to data/owner-crosswalk.json'
+        });
+      });
+    }
+
     // Process empty field analysis
     gaps.contacts.emptyFields.forEach(fieldData => {
       if (fieldData.count > 0) {
@@ -169,6 +305,45 @@ class CSVReporter {
       }
     });
 
+    // Process company gaps
+    if (gaps.companies) {
+      (gaps.companies.missingInHubSpot || []).forEach(company => {
+        csvData.push({
+          gap_type: 'missing_in_hubspot',
+          object_type: 'company',
+          priority: 'HIGH',
+          identifier: company.name,
+          ...this.getDefaultFields(),
+          details: `Domain: ${company.domain || 'none'}, AC ID: ${company.id}`,
+          action: 'Import to HubSpot'
+        });
+      });
+
+      (gaps.companies.missingInActiveCampaign || []).forEach(company => {
+        csvData.push({
+          gap_type: 'missing_in_activecampaign',
+          object_type: 'company',
+          priority: 'LOW',
+          identifier: company.name,
+          ...this.getDefaultFields(),
+          details: `Domain: ${company.domain || 'none'}, HS ID: ${company.id}`,
+          action: 'Company exists in HubSpot but not ActiveCampaign'
+        });
+      });
+
+      (gaps.companies.fieldMismatches || []).forEach(mismatch => {
+        csvData.push({
+          gap_type: 'field_mismatch',
+          object_type: 'company',
+          priority: 'MEDIUM',
+          identifier: mismatch.name,
+          ...this.getDefaultFields(),
+          details: `Matched by ${mismatch.matchedBy}; ${mismatch.mismatches.map(d => `${d.field}: "${d.activecampaign}" vs "${d.hubspot}"`).join('; ')}`,
+          action: 'Review and update'
+        });
+      });
+    }
+
     // Process company empty fields
     if (gaps.companies && gaps.companies.emptyFields) {
       gaps.companies.emptyFields.forEach(fieldData => {
@@ -225,7 +400,7 @@ class CSVReporter {
             activecampaign_close_date: deal.closeDate ? new Date(deal.closeDate).toLocaleDateString() : null,
             correct_close_date: null,
             days_difference: null,
-            details: `Value: $${(deal.value / 100).toFixed(2)}, Status: ${deal.status}, AC ID: ${deal.id}`,
+            details: `Value: $${(deal.value / 100).toFixed(2)}, Status: ${deal.status}, Stage: ${deal.pipeline} / ${deal.stageName}, AC ID: ${deal.id}`,
             action: 'Import deal from ActiveCampaign to HubSpot'
           });
         });
@@ -243,7 +418,7 @@ class CSVReporter {
             activecampaign_close_date: null,
             correct_close_date: null,
             days_difference: null,
-            details: `Amount: $${deal.amount}, Stage: ${deal.stage}, HS ID: ${deal.id}`,
+            details: `Amount: $${deal.amount}, Stage: ${deal.pipeline} / ${deal.stageName}, HS ID: ${deal.id}`,
             action: 'Deal exists in HubSpot but not ActiveCampaign'
           });
         });
@@ -261,12 +436,93 @@ class CSVReporter {
             activecampaign_close_date: null,
             correct_close_date: null,
             days_difference: null,
-            details: `HubSpot: ${mismatch.hubspotStatus} vs ActiveCampaign: ${mismatch.activeCampaignStatus}`,
+            details: `HubSpot: ${mismatch.hubspotStatus} (${mismatch.hubspotStageLabel}) vs ActiveCampaign: ${mismatch.activeCampaignStatus} (${mismatch.activeCampaignStageName})`,
             action: 'Review and sync deal status between platforms'
           });
         });
       }
 
+      // Deal stage mismatches (from the AC → HubSpot stage mapping)
+      if (gaps.deals.stageMismatches) {
+        gaps.deals.stageMismatches.forEach(mismatch => {
+          csvData.push({
+            gap_type: 'stage_mismatch',
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: mismatch.dealName,
+            hubspot_close_date: null,
+            activecampaign_close_date: null,
+            correct_close_date: null,
+            days_difference: null,
+            details: `HubSpot: ${mismatch.hubspotPipeline} / ${mismatch.hubspotStageLabel}, expected: ${mismatch.expectedPipeline || 'any pipeline'} / ${mismatch.expectedStage} (ActiveCampaign: ${mismatch.activeCampaignPipeline} / ${mismatch.activeCampaignStageName})`,
+            action: 'Move the HubSpot deal to the mapped pipeline and stage'
+          });
+        });
+      }
+
+      // ActiveCampaign stages missing from the stage mapping
+      if (gaps.deals.unmappedStages) {
+        gaps.deals.unmappedStages.forEach(stage => {
+          csvData.push({
+            gap_type: 'unmapped_stage',
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: `${stage.pipeline} / ${stage.stageName}`,
+            hubspot_close_date: null,
+            activecampaign_close_date: null,
+            correct_close_date: null,
+            days_difference: null,
+            details: `${stage.dealCount} ActiveCampaign deals in stage ID ${stage.stageId}`,
+            action: 'Add this stage to config/stage-mapping.js'
+          });
+        });
+      }
+
+      // Deal owner mismatches
+      if (gaps.deals.ownerMismatches) {
+        gaps.deals.ownerMismatches.forEach(mismatch => {
+          csvData.push({
+            gap_type: mismatch.issueType,
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: mismatch.dealName,
+            ...this.getDefaultFields(),
+            details: `ActiveCampaign owner: ${mismatch.activeCampaignOwner}, expected HubSpot owner: ${mismatch.expectedOwner}, HubSpot owner: ${mismatch.hubspotOwner} (HS ID: ${mismatch.hubspotId}, AC ID: ${mismatch.activeCampaignId})`,
+            action: 'Reassign deal owner in HubSpot'
+          });
+        });
+      }
+
+      // Deal custom field mismatches
+      if (gaps.deals.customFieldMismatches) {
+        gaps.deals.customFieldMismatches.forEach(mismatch => {
+          csvData.push({
+            gap_type: 'custom_field_mismatch',
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: mismatch.dealName,
+            ...this.getDefaultFields(),
+            details: mismatch.mismatches.map(d => `${d.field} → ${d.property}: "${d.activecampaign ?? ''}" vs "${d.hubspot ?? ''}"`).join('; '),
+            action: 'Update HubSpot property from ActiveCampaign custom field'
+          });
+        });
+      }
+
+      // Deals with missing notes/tasks
+      if (gaps.deals.activityGaps) {
+        gaps.deals.activityGaps.forEach(gap => {
+          csvData.push({
+            gap_type: 'missing_activity',
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: gap.identifier,
+            ...this.getDefaultFields(),
+            details: `Notes: ${gap.activeCampaignNotes} in ActiveCampaign vs ${gap.hubspotNotes} in HubSpot, tasks: ${gap.activeCampaignTasks} vs ${gap.hubspotTasks} (HS ID: ${gap.hubspotId}, AC ID: ${gap.activeCampaignId})`,
+            action: 'Re-import missing notes and tasks'
+          });
+        });
+      }
+
       // Deal value mismatches
       if (gaps.deals.valueMismatches) {
         gaps.deals.valueMismatches.forEach(mismatch => {
@@ -314,6 +570,50 @@ class CSVReporter {
         });
       }
 
+      // Deal association issues
+      if (gaps.deals.associationIssues) {
+        gaps.deals.associationIssues.forEach(issue => {
+          csvData.push({
+            gap_type: issue.issueType,
+            object_type: 'deal',
+            priority: issue.priority || 'HIGH',
+            identifier: issue.dealName,
+            ...this.getDefaultFields(),
+            details: `${issue.concern} (expected: ${issue.expected.join(', ') || 'none'}; HubSpot: ${issue.actual.join(', ') || 'none'}; HS ID: ${issue.hubspotId}, AC ID: ${issue.activeCampaignId})`,
+            action: 'Fix deal associations in HubSpot'
+          });
+        });
+      }
+
+      // Deal matches that need a human decision before the deals can be compared
+      if (gaps.deals.ambiguousMatches) {
+        gaps.deals.ambiguousMatches.forEach(match => {
+          csvData.push({
+            gap_type: 'ambiguous_match',
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: match.title,
+            ...this.getDefaultFields(),
+            details: `AC ID: ${match.activeCampaignId}; candidates: ${match.candidates.map(candidate => `${candidate.title} (AC ${candidate.activeCampaignId}) → ${candidate.dealName} (HS ${candidate.hubspotId}) score ${candidate.score}`).join('; ')}`,
+            action: 'Add the correct pair to data/deal-crosswalk.json as a manual entry'
+          });
+        });
+      }
+
+      if (gaps.deals.lowConfidenceMatches) {
+        gaps.deals.lowConfidenceMatches.forEach(match => {
+          csvData.push({
+            gap_type: 'low_confidence_match',
+            object_type: 'deal',
+            priority: 'MEDIUM',
+            identifier: match.title,
+            ...this.getDefaultFields(),
+            details: `Best match: ${match.dealName} (HS ID: ${match.hubspotId}, AC ID: ${match.activeCampaignId}) score ${match.score}`,
+            action: 'Confirm the pair in data/deal-crosswalk.json as a manual entry, or import the deal'
+          });
+        });
+      }
+
       // Migration issues
       if (gaps.deals.migrationIssues) {
         gaps.deals.migrationIssues.forEach(issue => {
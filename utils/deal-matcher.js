@@ -0,0 +1,218 @@
+const logger = require('./logger');
+const { normalizeCompanyName, normalizeEmail } = require('./normalize');
+const { tokenize, textSimilarity } = require('./string-similarity');
+const matchingConfig = require('../config/matching');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores ActiveCampaign ↔ HubSpot deal pairs on title, amount, created date, contact email and organization,
+// then picks the best one-to-one pairs. Ambiguous and low-confidence candidates are kept for review instead of paired.
+class DealMatcher {
+  constructor(options = {}) {
+    this.settings = { ...matchingConfig.deals, ...options };
+    this.acSignals = new Map();
+    this.hubspotSignals = new Map();
+    this.ambiguousMatches = [];
+    this.lowConfidenceMatches = [];
+    this.reviewedActiveCampaignIds = new Set();
+    this.reviewedHubSpotIds = new Set();
+  }
+
+  // Associated contact emails and organization names per deal; contacts are fetched when not passed in
+  async loadSignals({ hubspotAPI, activeCampaignAPI, hubspotDeals, hubspotContacts = [], hubspotCompanies = [], acContacts = [], acAccounts = [] }) {
+    logger.info('🧮 Loading deal matching signals...');
+
+    const hubspotDealIds = hubspotDeals.map(deal => deal.id);
+    const [hsContacts, acContactList, acAssociations, dealContacts, dealCompanies] = await Promise.all([
+      hubspotContacts.length > 0 ? hubspotContacts : hubspotAPI.getAllContacts(),
+      acContacts.length > 0 ? acContacts : activeCampaignAPI.getAllContacts(),
+      activeCampaignAPI.getDealAssociations(),
+      hubspotAPI.getAssociations('deals', 'contacts', hubspotDealIds),
+      hubspotCompanies.length > 0 ? hubspotAPI.getAssociations('deals', 'companies', hubspotDealIds) : {}
+    ]);
+
+    const hubspotEmailById = new Map(hsContacts.map(contact => [String(contact.id), normalizeEmail(contact.properties.email)]));
+    const acEmailById = new Map(acContactList.map(contact => [String(contact.id), normalizeEmail(contact.email)]));
+    const hubspotCompanyNameById = new Map(hubspotCompanies.map(company => [String(company.id), normalizeCompanyName(company.properties.name)]));
+    const acAccountNameById = new Map(acAccounts.map(account => [String(account.id), normalizeCompanyName(account.name)]));
+
+    Object.entries(acAssociations).forEach(([dealId, links]) => {
+      this.acSignals.set(String(dealId), {
+        emails: new Set(links.contacts.map(id => acEmailById.get(id)).filter(Boolean)),
+        organization: acAccountNameById.get(links.organization) || null
+      });
+    });
+
+    hubspotDealIds.forEach(dealId => {
+      const companyNames = (dealCompanies[dealId] || []).map(id => hubspotCompanyNameById.get(id)).filter(Boolean);
+      this.hubspotSignals.set(String(dealId), {
+        emails: new Set((dealContacts[dealId] || []).map(id => hubspotEmailById.get(id)).filter(Boolean)),
+        organizations: new Set(companyNames)
+      });
+    });
+
+    return this;
+  }
+
+  // Score one pair; signals that are missing on either side are left out (null)
+  score(acDeal, hsDeal) {
+    const acSignals = this.acSignals.get(String(acDeal.id)) || { emails: new Set(), organization: null };
+    const hsSignals = this.hubspotSignals.get(String(hsDeal.id)) || { emails: new Set(), organizations: new Set() };
+    const signals = {
+      title: textSimilarity(acDeal.title, hsDeal.properties.dealname),
+      amount: null,
+      createdDate: null,
+      contact: null,
+      organization: null
+    };
+
+    const acAmount = parseFloat(acDeal.value || '0') / 100; // AC stores in cents
+    const hsAmount = parseFloat(hsDeal.properties.amount || '0');
+    if (acAmount > 0 || hsAmount > 0) {
+      const difference = Math.abs(acAmount - hsAmount) / Math.max(acAmount, hsAmount);
+      signals.amount = Math.max(0, 1 - difference * 2);
+    }
+
+    const acCreated = Date.parse(acDeal.cdate);
+    const hsCreated = Date.parse(hsDeal.properties.createdate);
+    if (!isNaN(acCreated) && !isNaN(hsCreated)) {
+      const days = Math.abs(acCreated - hsCreated) / DAY_MS;
+      signals.createdDate = Math.max(0, 1 - days / this.settings.maxCreatedDateDays);
+    }
+
+    if (acSignals.emails.size > 0 && hsSignals.emails.size > 0) {
+      signals.contact = [...acSignals.emails].some(email => hsSignals.emails.has(email)) ? 1 : 0;
+    }
+
+    if (acSignals.organization && hsSignals.organizations.size > 0) {
+      signals.organization = hsSignals.organizations.has(acSignals.organization) ? 1 : 0;
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.entries(signals).forEach(([signal, value]) => {
+      if (value === null) return;
+      weighted += value * this.settings.weights[signal];
+      totalWeight += this.settings.weights[signal];
+    });
+
+    return {
+      score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : 0,
+      signals
+    };
+  }
+
+  // Candidate pairs share a title word or an associated contact email. Stopwords and keys shared by more
+  // than maxBlockSize HubSpot deals are dropped, so common words don't turn into all-pairs comparisons.
+  findCandidates(acDeals, hubspotDeals) {
+    const stopwords = new Set(this.settings.titleStopwords);
+    const titleTokens = title => tokenize(title).filter(token => token.length > 1 && !stopwords.has(token));
+    const hubspotByToken = new Map();
+    const hubspotByEmail = new Map();
+    const addToIndex = (index, key, deal) => {
+      if (!index.has(key)) index.set(key, new Set());
+      index.get(key).add(deal);
+    };
+
+    hubspotDeals.forEach(deal => {
+      titleTokens(deal.properties.dealname).forEach(token => addToIndex(hubspotByToken, token, deal));
+      (this.hubspotSignals.get(String(deal.id))?.emails || []).forEach(email => addToIndex(hubspotByEmail, email, deal));
+    });
+
+    const skippedKeys = [];
+    [hubspotByToken, hubspotByEmail].forEach(index => {
+      index.forEach((deals, key) => {
+        if (deals.size > this.settings.maxBlockSize) {
+          skippedKeys.push(`"${key}" (${deals.size})`);
+          index.delete(key);
+        }
+      });
+    });
+    if (skippedKeys.length > 0) {
+      logger.warn(`Not using ${skippedKeys.length} title words / contact emails shared by more than ${this.settings.maxBlockSize} HubSpot deals to find deal candidates: ${skippedKeys.slice(0, 10).join(', ')}${skippedKeys.length > 10 ? ', ...' : ''}`);
+    }
+
+    const candidates = [];
+    acDeals.forEach(acDeal => {
+      const hsDeals = new Set();
+      titleTokens(acDeal.title).forEach(token => (hubspotByToken.get(token) || []).forEach(deal => hsDeals.add(deal)));
+      (this.acSignals.get(String(acDeal.id))?.emails || []).forEach(email => (hubspotByEmail.get(email) || []).forEach(deal => hsDeals.add(deal)));
+
+      hsDeals.forEach(hsDeal => {
+        const { score, signals } = this.score(acDeal, hsDeal);
+        if (score >= this.settings.reviewConfidence) {
+          candidates.push({ acDeal, hsDeal, score, signals });
+        }
+      });
+    });
+
+    return candidates;
+  }
+
+  // Greedy one-to-one assignment, best score first. Returns [{ acRecord, hsRecord, matchedBy, confidence }].
+  match(acDeals, hubspotDeals) {
+    this.ambiguousMatches = [];
+    this.lowConfidenceMatches = [];
+    this.reviewedActiveCampaignIds = new Set();
+    this.reviewedHubSpotIds = new Set();
+
+    const candidates = this.findCandidates(acDeals, hubspotDeals).sort((a, b) => b.score - a.score);
+    const byAC = new Map();
+    const byHubSpot = new Map();
+    candidates.forEach(candidate => {
+      if (!byAC.has(candidate.acDeal)) byAC.set(candidate.acDeal, []);
+      if (!byHubSpot.has(candidate.hsDeal)) byHubSpot.set(candidate.hsDeal, []);
+      byAC.get(candidate.acDeal).push(candidate);
+      byHubSpot.get(candidate.hsDeal).push(candidate);
+    });
+
+    const settledAC = new Set();
+    const settledHubSpot = new Set();
+    const assignedAC = new Set();
+    const assignedHubSpot = new Set();
+    const describe = candidate => ({
+      activeCampaignId: candidate.acDeal.id,
+      title: candidate.acDeal.title,
+      hubspotId: candidate.hsDeal.id,
+      dealName: candidate.hsDeal.properties.dealname,
+      score: candidate.score
+    });
+    const markReviewed = candidate => {
+      this.reviewedActiveCampaignIds.add(String(candidate.acDeal.id));
+      this.reviewedHubSpotIds.add(String(candidate.hsDeal.id));
+    };
+
+    const pairs = [];
+    candidates.forEach(candidate => {
+      if (settledAC.has(candidate.acDeal) || settledHubSpot.has(candidate.hsDeal)) return;
+
+      // Close runners-up for either deal that haven't been paired elsewhere
+      const rivals = [...byAC.get(candidate.acDeal), ...byHubSpot.get(candidate.hsDeal)].filter(rival =>
+        rival !== candidate &&
+        !assignedAC.has(rival.acDeal) &&
+        !assignedHubSpot.has(rival.hsDeal) &&
+        rival.score >= candidate.score - this.settings.ambiguityMargin
+      );
+
+      settledAC.add(candidate.acDeal);
+      settledHubSpot.add(candidate.hsDeal);
+
+      if (rivals.length > 0) {
+        this.ambiguousMatches.push({ ...describe(candidate), candidates: [candidate, ...rivals].map(describe) });
+        [candidate, ...rivals].forEach(markReviewed);
+      } else if (candidate.score < this.settings.minConfidence) {
+        this.lowConfidenceMatches.push({ ...describe(candidate), signals: candidate.signals });
+        markReviewed(candidate);
+      } else {
+        assignedAC.add(candidate.acDeal);
+        assignedHubSpot.add(candidate.hsDeal);
+        pairs.push({ acRecord: candidate.acDeal, hsRecord: candidate.hsDeal, matchedBy: 'signals', confidence: candidate.score });
+      }
+    });
+
+    logger.info(`🧮 Matched ${pairs.length} deals by signals (${this.ambiguousMatches.length} ambiguous, ${this.lowConfidenceMatches.length} low-confidence)`);
+    return pairs;
+  }
+}
+
+module.exports = DealMatcher;
@@ -0,0 +1,123 @@
+// Disjoint sets over record IDs (path halving, union by size)
+class UnionFind {
+  constructor() {
+    this.parent = new Map();
+    this.size = new Map();
+  }
+
+  find(id) {
+    if (!this.parent.has(id)) {
+      this.parent.set(id, id);
+      this.size.set(id, 1);
+    }
+    let root = id;
+    while (this.parent.get(root) !== root) {
+      this.parent.set(root, this.parent.get(this.parent.get(root)));
+      root = this.parent.get(root);
+    }
+    return root;
+  }
+
+  // Returns the new root, or null when both IDs were already in the same set
+  union(a, b) {
+    let rootA = this.find(a);
+    let rootB = this.find(b);
+    if (rootA === rootB) return null;
+
+    if (this.size.get(rootA) < this.size.get(rootB)) [rootA, rootB] = [rootB, rootA];
+    this.parent.set(rootB, rootA);
+    this.size.set(rootA, this.size.get(rootA) + this.size.get(rootB));
+    return rootA;
+  }
+}
+
+// Joins duplicate groups that share records into connected clusters (A=B by email, B=C by phone → A, B, C).
+//
+// groups: [{ type, value, score, records }] - one entry per duplicate group, records need an `id`
+// evidenceWeights: { [type]: weight } - confidence of one piece of evidence, scaled by the group's score
+//
+// Each group becomes evidence edges from its first record to the others. Evidence for the same pair is
+// combined (1 - Π(1 - confidence)), and a cluster is only as confident as the weakest link needed to
+// connect it: the lowest pair confidence on its maximum spanning tree.
+//
+// Returns [{ size, confidence, records, evidence }], most confident first. Records are merged copies
+// of every detail object seen for that ID.
+function clusterDuplicates(groups, evidenceWeights) {
+  const recordsById = new Map();
+  const edges = [];
+
+  groups.forEach(group => {
+    const weight = evidenceWeights[group.type];
+    if (weight === undefined) return;
+
+    const records = [];
+    group.records.forEach(record => {
+      const id = String(record.id);
+      recordsById.set(id, { ...recordsById.get(id), ...record });
+      if (!records.includes(id)) records.push(id);
+    });
+
+    const score = group.score ?? 1;
+    records.slice(1).forEach(id => {
+      edges.push({
+        from: records[0],
+        to: id,
+        type: group.type,
+        value: group.value,
+        score: score,
+        confidence: Math.round(weight * score * 100) / 100
+      });
+    });
+  });
+
+  // Combined confidence per record pair
+  const pairs = new Map();
+  edges.forEach(edge => {
+    const key = [edge.from, edge.to].sort().join('|');
+    const pair = pairs.get(key) || { from: edge.from, to: edge.to, doubt: 1 };
+    pair.doubt *= 1 - edge.confidence;
+    pairs.set(key, pair);
+  });
+
+  // Kruskal: strongest pairs first, tracking the weakest link that joined each set
+  const sets = new UnionFind();
+  const weakestLink = new Map();
+  [...pairs.values()]
+    .map(pair => ({ ...pair, confidence: 1 - pair.doubt }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .forEach(pair => {
+      const rootA = sets.find(pair.from);
+      const rootB = sets.find(pair.to);
+      const root = sets.union(rootA, rootB);
+      if (root === null) return;
+
+      weakestLink.set(root, Math.min(
+        weakestLink.get(rootA) ?? 1,
+        weakestLink.get(rootB) ?? 1,
+        pair.confidence
+      ));
+    });
+
+  const clustersByRoot = new Map();
+  recordsById.forEach((record, id) => {
+    const root = sets.find(id);
+    if (!clustersByRoot.has(root)) {
+      clustersByRoot.set(root, { size: 0, confidence: Math.round((weakestLink.get(root) ?? 1) * 100) / 100, records: [], evidence: [] });
+    }
+    const cluster = clustersByRoot.get(root);
+    cluster.records.push(record);
+    cluster.size++;
+  });
+  edges.forEach(edge => {
+    clustersByRoot.get(sets.find(edge.from)).evidence.push(edge);
+  });
+
+  return [...clustersByRoot.values()]
+    .filter(cluster => cluster.size > 1)
+    .sort((a, b) => b.confidence - a.confidence || b.size - a.size);
+}
+
+module.exports = {
+  UnionFind,
+  clusterDuplicates
+};
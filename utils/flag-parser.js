@@ -20,7 +20,15 @@ class FlagParser {
       // Additional cache options
       cache: true,
       cacheTtl: 60,
-      cacheDir: null
+      cacheDir: null,
+      incremental: false,
+      allProperties: false,
+      strict: false,
+      similarityThreshold: null,
+      // Merge options
+      yes: false,
+      planFile: null,
+      minConfidence: null
     };
 
     for (let i = 0; i < this.args.length; i++) {
@@ -65,6 +73,15 @@ class FlagParser {
         case '--no-cache':
           flags.cache = false;
           break;
+        case '--incremental':
+          flags.incremental = true;
+          break;
+        case '--all-properties':
+          flags.allProperties = true;
+          break;
+        case '--strict':
+          flags.strict = true;
+          break;
         case '--cache-ttl':
           if (i + 1 < this.args.length) {
             const ttl = parseInt(this.args[i + 1]);
@@ -80,6 +97,23 @@ class FlagParser {
             i++; // Skip next argument
           }
           break;
+        case '--similarity-threshold':
+          flags.similarityThreshold = this.parseNumber(arg, this.args[i + 1], value => value > 0 && value <= 1, 'a number above 0 and up to 1');
+          i++; // Skip next argument
+          break;
+        case '--min-confidence':
+          flags.minConfidence = this.parseNumber(arg, this.args[i + 1], value => value >= 0 && value <= 1, 'a number from 0 to 1');
+          i++; // Skip next argument
+          break;
+        case '--plan-file':
+          if (i + 1 < this.args.length) {
+            flags.planFile = this.args[i + 1];
+            i++; // Skip next argument
+          }
+          break;
+        case '--yes':
+          flags.yes = true;
+          break;
         case '--dry-run':
           flags.dryRun = true;
           break;
@@ -103,6 +137,16 @@ class FlagParser {
     return flags;
   }
 
+  // Value of a numeric flag. A missing or invalid value is an error instead of being dropped, which would
+  // silently fall back to the default and read the value as the next flag.
+  parseNumber(flag, rawValue, isValid, expected) {
+    const value = Number(rawValue);
+    if (rawValue === undefined || rawValue.trim() === '' || isNaN(value) || !isValid(value)) {
+      throw new Error(`${flag} expects ${expected}, got ${rawValue === undefined ? 'no value' : `"${rawValue}"`}`);
+    }
+    return value;
+  }
+
   showHelp(scriptName, description) {
     console.log(`
 ${scriptName} - ${description}
@@ -123,7 +167,14 @@ Options:
   --no-cache          Disable caching entirely
   --cache-ttl <mins>  Cache TTL in minutes (default: 60)
   --cache-dir <path>  Cache directory path (default: ./cache)
+  --incremental       Refresh expired cache with only records changed since the last fetch
+  --all-properties    Fetch every HubSpot property (discovered via the properties API)
+  --strict            Exit with an error if any ActiveCampaign fetch fails or HubSpot refuses a dataset, instead of continuing with partial data
+  --similarity-threshold <0-1>  Minimum name similarity for fuzzy duplicates (default: 0.9)
   --dry-run           Show what would be updated without making changes
+  --min-confidence <0-1>  Only merge duplicate clusters at or above this confidence (default: 0.9)
+  --plan-file <path>  Execute a merge plan written by a dry run instead of building a new one
+  --yes               Skip the merge confirmation prompt
   --json-file <path>  Use custom JSON file for data analysis
   --help, -h          Show this help message
 
@@ -132,6 +183,7 @@ Performance Options:
   - First run: Fetches all data from APIs and caches it
   - Subsequent runs: Uses cached data (1 hour TTL)
   - Use --flush-cache to force refresh of all data
+  - Use --incremental to merge only changed records into an expired cache
 
 Examples:
   node ${scriptName}                    # Analyze all object types (uses cache)
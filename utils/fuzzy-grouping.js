@@ -0,0 +1,80 @@
+const logger = require('./logger');
+
+// Groups records whose normalized key is identical (score 1) and pairs of distinct keys whose
+// similarity reaches the threshold. Only keys sharing a blocking key are compared, so the work
+// grows with block size rather than with the square of the record count.
+//
+// options:
+//   getKey(record)            normalized key; records with an empty key are skipped
+//   getBlockingKeys(record)   keys of the blocks the record is compared within
+//   similarity(a, b)          score between 0 and 1 for two records with different keys
+//   threshold                 minimum similarity for a fuzzy pair
+//   maxBlockSize              blocks with more distinct keys than this are skipped
+//   label                     used in log messages
+//
+// Returns [{ keys, score, records }] - one entry per exact group, then one per fuzzy pair.
+function findSimilarGroups(records, options) {
+  const { getKey, getBlockingKeys, similarity, threshold, maxBlockSize = 1000, label = 'records' } = options;
+
+  const recordsByKey = new Map();
+  records.forEach(record => {
+    const key = getKey(record);
+    if (!key) return;
+    if (!recordsByKey.has(key)) recordsByKey.set(key, []);
+    recordsByKey.get(key).push(record);
+  });
+
+  const groups = [];
+  recordsByKey.forEach((group, key) => {
+    if (group.length > 1) {
+      groups.push({ keys: [key], score: 1, records: group });
+    }
+  });
+
+  // Blocks hold distinct keys; each key is represented by its first record
+  const blockingKeysByKey = new Map();
+  const blocks = new Map();
+  recordsByKey.forEach((group, key) => {
+    const blockingKeys = [...new Set(getBlockingKeys(group[0]).filter(Boolean))].sort();
+    blockingKeysByKey.set(key, blockingKeys);
+    blockingKeys.forEach(blockingKey => {
+      if (!blocks.has(blockingKey)) blocks.set(blockingKey, []);
+      blocks.get(blockingKey).push(key);
+    });
+  });
+
+  let comparisons = 0;
+  blocks.forEach((keys, blockingKey) => {
+    if (keys.length < 2) return;
+    if (keys.length > maxBlockSize) {
+      logger.warn(`Skipping ${label} block "${blockingKey}" with ${keys.length} names (max ${maxBlockSize})`);
+      return;
+    }
+
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        // Compare each pair once, in the first block the two keys share
+        const otherBlockingKeys = blockingKeysByKey.get(keys[j]);
+        const firstShared = blockingKeysByKey.get(keys[i]).find(key => otherBlockingKeys.includes(key));
+        if (firstShared !== blockingKey) continue;
+
+        comparisons++;
+        const score = Math.round(similarity(recordsByKey.get(keys[i])[0], recordsByKey.get(keys[j])[0]) * 100) / 100;
+        if (score >= threshold) {
+          groups.push({
+            keys: [keys[i], keys[j]],
+            score,
+            records: [...recordsByKey.get(keys[i]), ...recordsByKey.get(keys[j])]
+          });
+        }
+      }
+    }
+  });
+
+  logger.info(`🔎 Compared ${comparisons} similar ${label} across ${blocks.size} blocks`);
+  return groups;
+}
+
+module.exports = {
+  findSimilarGroups
+};
@@ -1,33 +1,83 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('./logger');
+const APIHelper = require('./api-helper');
+const hubspotProperties = require('../config/hubspot-properties');
+const customFieldMapping = require('../config/custom-field-mapping');
+const segmentationMapping = require('../config/segmentation-mapping');
 
 class HubSpotAPI {
   // Static mapping for object types
   static objectMap = {
     contacts: 'contact',
     companies: 'company',
-    deals: 'deal'
+    deals: 'deal',
+    tickets: 'ticket',
+    line_items: 'line_item',
+    products: 'product'
   };
 
+  // HubSpot object type IDs for standard objects (custom objects use their own "2-..." IDs)
+  static objectTypeIds = {
+    contacts: '0-1',
+    companies: '0-2',
+    deals: '0-3',
+    tickets: '0-5',
+    products: '0-7',
+    line_items: '0-8'
+  };
+
+  // Searchable last-modified property for each object type (used for incremental fetches).
+  // Everything other than contacts uses hs_lastmodifieddate.
+  static lastModifiedProperty = {
+    contacts: 'lastmodifieddate'
+  };
+
+  // The CRM search API cannot page past this many results
+  static SEARCH_RESULT_LIMIT = 10000;
+
+  // Overlap applied to watermarks to absorb clock skew between us and HubSpot
+  static WATERMARK_OVERLAP_MS = 5 * 60 * 1000;
+
+  // Maximum number of properties requested per list call (keeps URLs under HubSpot's length limit)
+  static PROPERTY_CHUNK_SIZE = 100;
+
+  // Maximum number of IDs per v4 associations batch read
+  static ASSOCIATION_BATCH_SIZE = 1000;
+
+  // Maximum number of records per CRM object batch read/update
+  static OBJECT_BATCH_SIZE = 100;
+
   constructor(options = {}) {
-    this.client = axios.create({
-      baseURL: 'https://api.hubapi.com',
-      headers: {
-        'Authorization': `Bearer ${config.hubspot.accessToken}`,
-        'Content-Type': 'application/json'
-      }
+    // Shared request layer handles 429/5xx retries and HubSpot rate limit headers
+    this.api = new APIHelper(config.hubspot.apiUrl, {
+      'Authorization': `Bearer ${config.hubspot.accessToken}`,
+      'Content-Type': 'application/json'
+    }, {
+      maxRetries: config.settings.maxRetries,
+      retryBaseDelay: config.settings.retryBaseDelay,
+      retryMaxDelay: config.settings.retryMaxDelay
     });
+    this.client = this.api.client;
     
     // Cache configuration
     this.cacheOptions = {
       enabled: options.cache !== false,
       ttlMinutes: options.cacheTtl || config.settings.cacheTtlMinutes,
       directory: options.cacheDir || path.join(__dirname, '..', 'cache'),
-      flushCache: options.flushCache || false
+      flushCache: options.flushCache || false,
+      incremental: options.incremental || false
     };
+
+    // Fetch every property discovered via the properties API instead of the configured list
+    this.allProperties = options.allProperties || false;
+    this.propertyNames = {};
+
+    // Strict mode turns unavailable datasets into errors instead of empty results
+    this.strict = options.strict || false;
+    // Datasets HubSpot refused (plan limits, missing scopes): { dataset: { reason, fetched } }
+    this.incompleteDatasets = {};
     
     this.ensureCacheDirectory();
     this.cleanOldCache();
@@ -78,7 +128,16 @@ class HubSpotAPI {
     }
   }
 
-  loadFromCache(objectType) {
+  // Cached records are only usable if they were fetched with every property we now need
+  hasCachedProperties(cacheInfo, properties) {
+    if (!properties || !cacheInfo.properties) {
+      return true;
+    }
+    const cachedProperties = new Set(cacheInfo.properties);
+    return properties.every(property => cachedProperties.has(property));
+  }
+
+  loadFromCache(objectType, properties = null) {
     if (!this.isCacheValid(objectType)) {
       return null;
     }
@@ -90,6 +149,11 @@ class HubSpotAPI {
       const metadataFile = this.getCacheMetadataPath();
       const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
       const cacheInfo = metadata[objectType];
+
+      if (!this.hasCachedProperties(cacheInfo, properties)) {
+        logger.info(`Cached ${objectType} are missing requested properties - refetching`);
+        return null;
+      }
       
       logger.info(`📦 Loaded ${data.length} ${objectType} from cache (${this.getTimeAgo(cacheInfo.timestamp)})`);
       return data;
@@ -99,7 +163,7 @@ class HubSpotAPI {
     }
   }
 
-  saveToCache(objectType, data) {
+  saveToCache(objectType, data, extraMetadata = {}) {
     if (!this.cacheOptions.enabled) {
       return;
     }
@@ -120,7 +184,8 @@ class HubSpotAPI {
       metadata[objectType] = {
         timestamp: Date.now(),
         count: data.length,
-        ttlMinutes: this.cacheOptions.ttlMinutes
+        ttlMinutes: this.cacheOptions.ttlMinutes,
+        ...extraMetadata
       };
       
       fs.writeFileSync(metadataFile, JSON.stringify(metadata, null, 2));
@@ -142,7 +207,8 @@ class HubSpotAPI {
   }
 
   cleanOldCache() {
-    if (!this.cacheOptions.enabled) return;
+    // Incremental mode merges deltas into expired cache files, so keep them around
+    if (!this.cacheOptions.enabled || this.cacheOptions.incremental) return;
 
     try {
       const metadataFile = this.getCacheMetadataPath();
@@ -177,174 +243,611 @@ class HubSpotAPI {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async getAllContacts() {
-    const objectType = 'contacts';
+  // Merge changed records into cached records, replacing by ID
+  mergeRecords(cachedRecords, changedRecords) {
+    const recordsById = new Map(cachedRecords.map(record => [record.id, record]));
+    changedRecords.forEach(record => recordsById.set(record.id, record));
+    return Array.from(recordsById.values());
+  }
+
+  // Fetch only records modified since the last watermark and merge them into the cached data.
+  // Returns null when a full fetch is needed instead.
+  async loadIncremental(objectType, properties) {
+    if (!this.cacheOptions.incremental || !this.cacheOptions.enabled || this.cacheOptions.flushCache) {
+      return null;
+    }
+
+    const cacheFile = this.getCacheFilePath(objectType);
+    const metadataFile = this.getCacheMetadataPath();
+    if (!fs.existsSync(cacheFile) || !fs.existsSync(metadataFile)) {
+      return null;
+    }
+
+    let cachedData;
+    let cacheInfo;
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+      cacheInfo = metadata[objectType] || {};
+      cachedData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    } catch (error) {
+      logger.warn(`Failed to read ${objectType} cache for incremental fetch:`, error.message);
+      return null;
+    }
+
+    const watermark = cacheInfo.watermark;
+    if (!watermark) {
+      logger.info(`No watermark stored for ${objectType} - running full fetch`);
+      return null;
+    }
+
+    if (!this.hasCachedProperties(cacheInfo, properties)) {
+      logger.info(`Property set for ${objectType} changed since last fetch - running full fetch`);
+      return null;
+    }
+
+    const fetchStartedAt = Date.now();
+    const since = watermark - HubSpotAPI.WATERMARK_OVERLAP_MS;
+    logger.info(`🔄 Fetching ${objectType} modified since ${new Date(since).toISOString()}...`);
+
+    const changedRecords = await this.searchModifiedSince(objectType, properties, since);
+    if (!changedRecords) {
+      return null;
+    }
+
+    let merged = this.mergeRecords(cachedData, changedRecords);
+    logger.info(`✅ Merged ${changedRecords.length} changed ${objectType} into ${cachedData.length} cached records`);
+
+    // The search API never returns deleted, archived or merged-away records, so re-list the IDs periodically
+    let idsRefreshedAt = cacheInfo.idsRefreshedAt;
+    const refreshAge = config.settings.incrementalIdRefreshHours * 60 * 60 * 1000;
+    if (!idsRefreshedAt || fetchStartedAt - idsRefreshedAt > refreshAge) {
+      const currentIds = await this.fetchAllIds(objectType);
+      const before = merged.length;
+      merged = merged.filter(record => currentIds.has(String(record.id)));
+      idsRefreshedAt = fetchStartedAt;
+      logger.info(`🧹 Dropped ${before - merged.length} ${objectType} no longer in HubSpot (deleted, archived or merged)`);
+    }
+
+    this.saveToCache(objectType, merged, { watermark: fetchStartedAt, idsRefreshedAt, properties });
+    return merged;
+  }
+
+  // IDs of every active record of an object type (one property per page keeps the requests small)
+  async fetchAllIds(objectType) {
+    logger.info(`🔄 Listing current ${objectType} IDs...`);
+    const ids = new Set();
+    let after = undefined;
+
+    do {
+      const params = { limit: config.settings.batchSize, properties: 'hs_object_id' };
+      if (after) {
+        params.after = after;
+      }
+
+      const response = await this.client.get(`/crm/v3/objects/${objectType}`, { params });
+      response.data.results.forEach(record => ids.add(String(record.id)));
+      after = response.data.paging?.next?.after;
+
+      await this.delay(config.settings.apiRateLimitDelay);
+    } while (after);
+
+    return ids;
+  }
+
+  async searchModifiedSince(objectType, properties, since) {
+    const propertyName = HubSpotAPI.lastModifiedProperty[objectType] || 'hs_lastmodifieddate';
+    let after = undefined;
+    let changedRecords = [];
+
+    do {
+      const body = {
+        filterGroups: [{
+          filters: [{ propertyName, operator: 'GT', value: String(since) }]
+        }],
+        sorts: [{ propertyName, direction: 'ASCENDING' }],
+        properties,
+        limit: config.settings.batchSize
+      };
+
+      if (after) {
+        body.after = after;
+      }
+
+      const response = await this.client.post(`/crm/v3/objects/${objectType}/search`, body);
+
+      if (response.data.total > HubSpotAPI.SEARCH_RESULT_LIMIT) {
+        logger.warn(`${response.data.total} ${objectType} changed since last fetch - exceeds search API limit, running full fetch`);
+        return null;
+      }
+
+      changedRecords = changedRecords.concat(response.data.results);
+      after = response.data.paging?.next?.after;
+
+      logger.info(`📥 Fetched ${changedRecords.length} of ${response.data.total} changed ${objectType}...`);
+
+      await this.delay(config.settings.apiRateLimitDelay);
+    } while (after);
+
+    return changedRecords;
+  }
+
+  // Resolve the property names to request for an object type
+  async getPropertyNames(objectType) {
+    if (this.propertyNames[objectType]) {
+      return this.propertyNames[objectType];
+    }
+
+    const configured = hubspotProperties.properties[objectType] || [];
+    let propertyNames = configured;
+
+    // Custom objects without a configured property list get every property
+    if (this.allProperties || configured.length === 0) {
+      const definitions = await this.getPropertyDefinitions(objectType);
+      propertyNames = Array.from(new Set([...configured, ...definitions.map(definition => definition.name)]));
+      logger.info(`🔎 Requesting all ${propertyNames.length} ${objectType} properties`);
+    }
+
+    // Properties mapped from ActiveCampaign custom fields, tags and lists are always needed for comparison
+    const mappedProperties = Object.values(customFieldMapping[objectType] || {});
+    if (objectType === 'contacts') {
+      [...Object.values(segmentationMapping.tags || {}), ...Object.values(segmentationMapping.lists || {})]
+        .filter(target => target.property)
+        .forEach(target => mappedProperties.push(target.property));
+    }
+    propertyNames = Array.from(new Set([...propertyNames, ...mappedProperties]));
+
+    this.propertyNames[objectType] = propertyNames;
+    return propertyNames;
+  }
+
+  // Discover every property defined for an object type via the properties API
+  async getPropertyDefinitions(objectType) {
+    const cacheKey = `${objectType}-properties`;
     
     // Try cache first
-    const cachedData = this.loadFromCache(objectType);
+    const cachedData = this.loadFromCache(cacheKey);
     if (cachedData) {
       return cachedData;
     }
 
-    // Fetch from API
-    logger.info('🌐 Fetching contacts from HubSpot API...');
-    let after = undefined;
-    let allContacts = [];
+    logger.info(`🌐 Discovering ${objectType} properties from HubSpot API...`);
 
-    do {
-      try {
+    try {
+      const response = await this.client.get(`/crm/v3/properties/${objectType}`, {
+        params: { archived: false }
+      });
+
+      const definitions = response.data.results.map(property => ({
+        name: property.name,
+        label: property.label,
+        type: property.type,
+        fieldType: property.fieldType,
+        groupName: property.groupName,
+        hubspotDefined: property.hubspotDefined || false,
+        calculated: property.calculated || false
+      }));
+
+      logger.info(`✅ Found ${definitions.length} ${objectType} properties`);
+      this.saveToCache(cacheKey, definitions);
+      return definitions;
+    } catch (error) {
+      logger.error(`Error discovering ${objectType} properties:`, error.message);
+      throw error;
+    }
+  }
+
+  // Page through a CRM object list, requesting properties in chunks and merging the results by ID
+  async fetchAllPages(objectType, properties) {
+    const recordsById = new Map();
+    const chunks = [];
+    for (let i = 0; i < properties.length; i += HubSpotAPI.PROPERTY_CHUNK_SIZE) {
+      chunks.push(properties.slice(i, i + HubSpotAPI.PROPERTY_CHUNK_SIZE));
+    }
+
+    for (const [index, chunk] of chunks.entries()) {
+      if (chunks.length > 1) {
+        logger.info(`📑 Fetching ${objectType} property chunk ${index + 1}/${chunks.length}...`);
+      }
+
+      let after = undefined;
+      let fetchedCount = 0;
+
+      do {
         const params = {
           limit: config.settings.batchSize,
-          properties: [
-            'email', 'firstname', 'lastname', 'phone', 'company',
-            'createdate', 'lastmodifieddate', 'hs_object_id',
-            'lifecyclestage', 'hubspotscore', 'jobtitle', 'website',
-            'city', 'state', 'country'
-          ].join(',')
+          properties: chunk.join(',')
         };
         
         if (after) {
           params.after = after;
         }
 
-        const response = await this.client.get('/crm/v3/objects/contacts', { params });
+        const response = await this.client.get(`/crm/v3/objects/${objectType}`, { params });
         
-        allContacts = allContacts.concat(response.data.results);
+        response.data.results.forEach(record => {
+          const existing = recordsById.get(record.id);
+          if (existing) {
+            Object.assign(existing.properties, record.properties);
+          } else {
+            recordsById.set(record.id, record);
+          }
+        });
+        fetchedCount += response.data.results.length;
         after = response.data.paging?.next?.after;
         
-        logger.info(`📥 Fetched ${allContacts.length} contacts so far...`);
+        logger.info(`📥 Fetched ${fetchedCount} ${objectType} so far...`);
         
         await this.delay(config.settings.apiRateLimitDelay);
-        
-      } catch (error) {
-        logger.error('Error fetching contacts:', error.message);
-        throw error;
+      } while (after);
+    }
+
+    return Array.from(recordsById.values());
+  }
+
+  // Fetch every record of an object type: contacts, companies, deals, tickets, line_items,
+  // products, or a custom object by objectTypeId (e.g. "2-1234567")
+  async getAllObjects(objectType, properties = null) {
+    properties = properties || await this.getPropertyNames(objectType);
+    
+    // Try cache first
+    const cachedData = this.loadFromCache(objectType, properties);
+    if (cachedData) {
+      return cachedData;
+    }
+
+    // Try an incremental fetch on top of the expired cache
+    const incrementalData = await this.loadIncremental(objectType, properties);
+    if (incrementalData) {
+      return incrementalData;
+    }
+
+    // Fetch from API
+    logger.info(`🌐 Fetching ${objectType} from HubSpot API...`);
+    const fetchStartedAt = Date.now();
+    let allRecords = [];
+
+    try {
+      allRecords = await this.fetchAllPages(objectType, properties);
+    } catch (error) {
+      // Contacts are always available; other objects may be missing on free tier or lack scopes
+      if (objectType !== 'contacts' && (error.response?.status === 403 || error.response?.status === 402)) {
+        this.markUnavailable(objectType, error, `${objectType} API not available (likely free tier limitation or missing scope)`);
+        return [];
       }
-    } while (after);
+      logger.error(`Error fetching ${objectType}:`, error.message);
+      throw error;
+    }
 
-    logger.info(`✅ Total contacts fetched: ${allContacts.length}`);
+    logger.info(`✅ Total ${objectType} fetched: ${allRecords.length}`);
     
     // Save to cache
-    this.saveToCache(objectType, allContacts);
+    this.saveToCache(objectType, allRecords, { watermark: fetchStartedAt, idsRefreshedAt: fetchStartedAt, properties });
     
-    return allContacts;
+    return allRecords;
+  }
+
+  async getAllContacts() {
+    return this.getAllObjects('contacts');
   }
 
   async getAllCompanies() {
-    const objectType = 'companies';
+    return this.getAllObjects('companies');
+  }
+
+  async getAllDeals() {
+    return this.getAllObjects('deals');
+  }
+
+  async getAllTickets() {
+    return this.getAllObjects('tickets');
+  }
+
+  async getAllLineItems() {
+    return this.getAllObjects('line_items');
+  }
+
+  async getAllProducts() {
+    return this.getAllObjects('products');
+  }
+
+  // Fetch deal pipelines with their stages and stage metadata
+  async getDealPipelines() {
+    const cacheKey = 'pipelines-deals';
     
     // Try cache first
-    const cachedData = this.loadFromCache(objectType);
+    const cachedData = this.loadFromCache(cacheKey);
     if (cachedData) {
       return cachedData;
     }
 
-    // Fetch from API
-    logger.info('🌐 Fetching companies from HubSpot API...');
-    let after = undefined;
-    let allCompanies = [];
+    logger.info('🌐 Fetching deal pipelines from HubSpot API...');
 
-    do {
-      try {
-        const params = {
-          limit: config.settings.batchSize,
-          properties: [
-            'name', 'domain', 'website', 'phone', 'city', 'state',
-            'createdate', 'lastmodifieddate', 'industry', 'numberofemployees'
-          ].join(',')
+    try {
+      const response = await this.client.get('/crm/v3/pipelines/deals');
+      const pipelines = response.data.results.map(pipeline => ({
+        id: pipeline.id,
+        label: pipeline.label,
+        displayOrder: pipeline.displayOrder,
+        stages: pipeline.stages.map(stage => ({
+          id: stage.id,
+          label: stage.label,
+          displayOrder: stage.displayOrder,
+          isClosed: stage.metadata?.isClosed === 'true' || stage.metadata?.isClosed === true,
+          probability: parseFloat(stage.metadata?.probability ?? 0)
+        }))
+      }));
+
+      logger.info(`✅ Found ${pipelines.length} deal pipelines`);
+      this.saveToCache(cacheKey, pipelines);
+      return pipelines;
+    } catch (error) {
+      if (error.response?.status === 403 || error.response?.status === 402) {
+        this.markUnavailable(cacheKey, error, 'Deal pipelines not available (likely free tier limitation)');
+        return [];
+      }
+      logger.error('Error fetching deal pipelines:', error.message);
+      throw error;
+    }
+  }
+
+  // Map of deal stage ID to stage metadata (label, pipeline, isClosed, probability)
+  async getDealStageMap() {
+    const pipelines = await this.getDealPipelines();
+    const stageMap = {};
+
+    pipelines.forEach(pipeline => {
+      pipeline.stages.forEach(stage => {
+        stageMap[stage.id] = {
+          ...stage,
+          pipelineId: pipeline.id,
+          pipelineLabel: pipeline.label
         };
-        
-        if (after) {
-          params.after = after;
-        }
+      });
+    });
 
-        const response = await this.client.get('/crm/v3/objects/companies', { params });
-        
-        allCompanies = allCompanies.concat(response.data.results);
-        after = response.data.paging?.next?.after;
-        
-        logger.info(`📥 Fetched ${allCompanies.length} companies so far...`);
-        
-        await this.delay(config.settings.apiRateLimitDelay);
-        
-      } catch (error) {
-        if (error.response?.status === 403 || error.response?.status === 402) {
-          logger.warn('Companies API not available (likely free tier limitation)');
-          return [];
-        }
-        logger.error('Error fetching companies:', error.message);
-        throw error;
+    return stageMap;
+  }
+
+  // List custom object schemas so custom objects can be fetched by objectTypeId
+  async getCustomObjectSchemas() {
+    const cacheKey = 'schemas';
+    
+    // Try cache first
+    const cachedData = this.loadFromCache(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+
+    logger.info('🌐 Fetching custom object schemas from HubSpot API...');
+
+    try {
+      const response = await this.client.get('/crm/v3/schemas');
+      const schemas = response.data.results.map(schema => ({
+        objectTypeId: schema.objectTypeId,
+        name: schema.name,
+        fullyQualifiedName: schema.fullyQualifiedName,
+        label: schema.labels?.plural || schema.name,
+        primaryDisplayProperty: schema.primaryDisplayProperty
+      }));
+
+      logger.info(`✅ Found ${schemas.length} custom object schemas`);
+      this.saveToCache(cacheKey, schemas);
+      return schemas;
+    } catch (error) {
+      if (error.response?.status === 403 || error.response?.status === 402) {
+        this.markUnavailable(cacheKey, error, 'Custom object schemas not available (requires Enterprise tier and crm.schemas.custom.read scope)');
+        return [];
       }
-    } while (after);
+      logger.error('Error fetching custom object schemas:', error.message);
+      throw error;
+    }
+  }
 
-    logger.info(`✅ Total companies fetched: ${allCompanies.length}`);
+  // Fetch users that can own CRM records
+  async getOwners() {
+    const cacheKey = 'owners';
     
-    // Save to cache
-    this.saveToCache(objectType, allCompanies);
+    // Try cache first
+    const cachedData = this.loadFromCache(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+
+    logger.info('🌐 Fetching owners from HubSpot API...');
+
+    try {
+      let owners = [];
+      let after;
+
+      do {
+        const response = await this.client.get('/crm/v3/owners', {
+          params: { limit: 100, after }
+        });
+
+        owners = owners.concat(response.data.results.map(owner => ({
+          id: String(owner.id),
+          userId: owner.userId ? String(owner.userId) : null,
+          email: owner.email,
+          firstName: owner.firstName,
+          lastName: owner.lastName,
+          archived: owner.archived || false
+        })));
+        after = response.data.paging?.next?.after;
+      } while (after);
+
+      logger.info(`✅ Found ${owners.length} HubSpot owners`);
+      this.saveToCache(cacheKey, owners);
+      return owners;
+    } catch (error) {
+      if (error.response?.status === 403 || error.response?.status === 402) {
+        this.markUnavailable(cacheKey, error, 'HubSpot owners not available (requires crm.objects.owners.read scope)');
+        return [];
+      }
+      logger.error('Error fetching owners:', error.message);
+      throw error;
+    }
+  }
+
+  // Fetch email subscription types; each has a contact property hs_email_optout_<id>
+  async getSubscriptionTypes() {
+    const cacheKey = 'subscription-types';
     
-    return allCompanies;
+    // Try cache first
+    const cachedData = this.loadFromCache(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+
+    logger.info('🌐 Fetching email subscription types from HubSpot API...');
+
+    try {
+      const response = await this.client.get('/communication-preferences/v3/definitions');
+      const subscriptionTypes = response.data.subscriptionDefinitions.map(definition => ({
+        id: String(definition.id),
+        name: definition.name,
+        isActive: definition.isActive,
+        isInternal: definition.isInternal
+      }));
+
+      logger.info(`✅ Found ${subscriptionTypes.length} email subscription types`);
+      this.saveToCache(cacheKey, subscriptionTypes);
+      return subscriptionTypes;
+    } catch (error) {
+      if (error.response?.status === 403 || error.response?.status === 402) {
+        this.markUnavailable(cacheKey, error, 'Email subscription types not available (requires communication_preferences.read scope)');
+        return [];
+      }
+      logger.error('Error fetching email subscription types:', error.message);
+      throw error;
+    }
   }
 
-  async getAllDeals() {
-    const objectType = 'deals';
+  // Fetch the record IDs that are members of a HubSpot list. Returns null if the list can't be read.
+  async getListMemberships(listId) {
+    const cacheKey = `list-memberships-${listId}`;
     
     // Try cache first
-    const cachedData = this.loadFromCache(objectType);
+    const cachedData = this.loadFromCache(cacheKey);
     if (cachedData) {
       return cachedData;
     }
 
-    // Fetch from API
-    logger.info('🌐 Fetching deals from HubSpot API...');
-    let after = undefined;
-    let allDeals = [];
+    logger.info(`🌐 Fetching memberships of HubSpot list ${listId}...`);
 
-    do {
-      try {
-        const params = {
-          limit: config.settings.batchSize,
-          properties: [
-            'dealname', 'amount', 'dealstage', 'pipeline',
-            'createdate', 'lastmodifieddate', 'closedate', 'dealtype'
-          ].join(',')
-        };
-        
-        if (after) {
-          params.after = after;
-        }
+    try {
+      let recordIds = [];
+      let after;
 
-        const response = await this.client.get('/crm/v3/objects/deals', { params });
-        
-        allDeals = allDeals.concat(response.data.results);
+      do {
+        const response = await this.client.get(`/crm/v3/lists/${listId}/memberships`, {
+          params: { limit: 250, after }
+        });
+
+        recordIds = recordIds.concat(response.data.results.map(member => String(member.recordId)));
         after = response.data.paging?.next?.after;
-        
-        logger.info(`📥 Fetched ${allDeals.length} deals so far...`);
-        
-        await this.delay(config.settings.apiRateLimitDelay);
-        
-      } catch (error) {
-        if (error.response?.status === 403 || error.response?.status === 402) {
-          logger.warn('Deals API not available (likely free tier limitation)');
-          return [];
+      } while (after);
+
+      logger.info(`✅ HubSpot list ${listId} has ${recordIds.length} members`);
+      this.saveToCache(cacheKey, recordIds);
+      return recordIds;
+    } catch (error) {
+      if ([402, 403, 404].includes(error.response?.status)) {
+        this.markUnavailable(cacheKey, error, `HubSpot list ${listId} not available - skipping its membership checks`);
+        return null;
+      }
+      logger.error(`Error fetching memberships of list ${listId}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Record a dataset HubSpot refused so reports can be labelled, or fail in strict mode
+  markUnavailable(dataset, error, message) {
+    const reason = `${message} (${error.response.status})`;
+    if (this.strict) {
+      throw new Error(`HubSpot ${dataset} fetch failed: ${reason}`);
+    }
+
+    logger.warn(reason);
+    this.incompleteDatasets[dataset] = { reason, fetched: 0 };
+  }
+
+  // Fetch associations from one object type to another via the v4 batch API.
+  // Returns a map of source record ID to associated record IDs.
+  async getAssociations(fromObjectType, toObjectType, ids) {
+    const cacheKey = `associations-${fromObjectType}-${toObjectType}`;
+    const cachedData = this.loadFromCache(cacheKey) || [];
+    const associations = {};
+    cachedData.forEach(entry => {
+      associations[entry.id] = entry.toIds;
+    });
+
+    // Only fetch IDs we haven't cached yet
+    const missingIds = ids.filter(id => !associations[id]);
+    if (missingIds.length === 0) {
+      return associations;
+    }
+
+    logger.info(`🌐 Fetching ${fromObjectType} → ${toObjectType} associations for ${missingIds.length} records...`);
+
+    try {
+      for (let i = 0; i < missingIds.length; i += HubSpotAPI.ASSOCIATION_BATCH_SIZE) {
+        const batch = missingIds.slice(i, i + HubSpotAPI.ASSOCIATION_BATCH_SIZE);
+        const response = await this.client.post(
+          `/crm/v4/associations/${fromObjectType}/${toObjectType}/batch/read`,
+          { inputs: batch.map(id => ({ id })) }
+        );
+
+        // Records without associations are reported as errors, so default every ID to empty
+        batch.forEach(id => {
+          associations[id] = [];
+        });
+        for (const result of response.data.results) {
+          associations[result.from.id] = result.to.map(to => String(to.toObjectId));
+          // Each record returns at most 500 associations per batch read; page through the rest
+          if (result.paging?.next?.after) {
+            const moreIds = await this.getRemainingAssociations(fromObjectType, toObjectType, result.from.id, result.paging.next.after);
+            associations[result.from.id] = associations[result.from.id].concat(moreIds);
+          }
         }
-        logger.error('Error fetching deals:', error.message);
-        throw error;
+
+        logger.info(`📥 Fetched ${fromObjectType} → ${toObjectType} associations for ${Math.min(i + batch.length, missingIds.length)}/${missingIds.length} records...`);
+
+        await this.delay(config.settings.apiRateLimitDelay);
       }
-    } while (after);
+    } catch (error) {
+      if (error.response?.status === 403 || error.response?.status === 402) {
+        this.markUnavailable(cacheKey, error, `${fromObjectType} → ${toObjectType} associations not available (check private app scopes)`);
+        return {};
+      }
+      logger.error(`Error fetching ${fromObjectType} → ${toObjectType} associations:`, error.message);
+      throw error;
+    }
 
-    logger.info(`✅ Total deals fetched: ${allDeals.length}`);
-    
     // Save to cache
-    this.saveToCache(objectType, allDeals);
-    
-    return allDeals;
+    this.saveToCache(cacheKey, Object.entries(associations).map(([id, toIds]) => ({ id, toIds })));
+
+    return associations;
+  }
+
+  // Associated record IDs of one record, starting from a paging cursor
+  async getRemainingAssociations(fromObjectType, toObjectType, id, after) {
+    let toIds = [];
+    do {
+      const response = await this.client.get(`/crm/v4/objects/${fromObjectType}/${id}/associations/${toObjectType}`, {
+        params: { limit: 500, after }
+      });
+      toIds = toIds.concat(response.data.results.map(result => String(result.toObjectId)));
+      after = response.data.paging?.next?.after;
+    } while (after);
+    return toIds;
   }
 
   async fetchAllDataConcurrently(options = {}) {
     const {
       includeContacts = true,
       includeCompanies = true,
-      includeDeals = true
+      includeDeals = true,
+      objectTypes = []
     } = options;
 
     logger.info('🚀 Starting concurrent data fetch...');
@@ -363,6 +866,11 @@ class HubSpotAPI {
       promises.push(this.getAllDeals().then(data => ({ type: 'deals', data })));
     }
 
+    // Additional object types, e.g. tickets or custom objects by objectTypeId
+    objectTypes.forEach(objectType => {
+      promises.push(this.getAllObjects(objectType).then(data => ({ type: objectType, data })));
+    });
+
     const results = await Promise.all(promises);
     
     const dataMap = {};
@@ -377,11 +885,20 @@ class HubSpotAPI {
   // Helper method to get HubSpot record URL
   getRecordUrl(objectType, id) {
     const portalId = config.hubspot.portalId;
+    const legacyTypes = ['contacts', 'companies', 'deals'];
+
     if (!portalId) {
       // Fallback to basic URL if no portal ID configured
-      return `https://app.hubspot.com/${HubSpotAPI.objectMap[objectType]}/${id}`;
+      return `https://app.hubspot.com/${HubSpotAPI.objectMap[objectType] || objectType}/${id}`;
     }
-    return `https://app.hubspot.com/contacts/${portalId}/${HubSpotAPI.objectMap[objectType]}/${id}`;
+
+    if (legacyTypes.includes(objectType)) {
+      return `https://app.hubspot.com/contacts/${portalId}/${HubSpotAPI.objectMap[objectType]}/${id}`;
+    }
+
+    // Tickets, line items, products and custom objects use the generic record URL
+    const objectTypeId = HubSpotAPI.objectTypeIds[objectType] || objectType;
+    return `https://app.hubspot.com/contacts/${portalId}/record/${objectTypeId}/${id}`;
   }
 
   // Cache management methods
@@ -459,15 +976,12 @@ class HubSpotAPI {
 
   async getDeal(dealId) {
     try {
-      const response = await this.client.get(`/crm/v3/objects/deals/${dealId}`, {
-        params: {
-          properties: [
-            'dealname', 'amount', 'dealstage', 'pipeline',
-            'createdate', 'lastmodifieddate', 'closedate', 'dealtype'
-          ]
-        }
-      });
-      return response.data;
+      // Properties go in the batch read body; with --all-properties a GET query string can exceed URL limits
+      const { results, errors } = await this.batchReadDeals([dealId]);
+      if (errors.length > 0) {
+        logger.error(`Error fetching deal ${dealId}:`, errors[0].message);
+      }
+      return results[0] || null;
     } catch (error) {
       logger.error(`Error fetching deal ${dealId}:`, error.message);
       return null;
@@ -485,6 +999,119 @@ class HubSpotAPI {
       return null;
     }
   }
+
+  // Flatten HubSpot batch errors into one entry per record ID
+  getBatchErrors(errors = []) {
+    return errors.flatMap(error => {
+      // context.id / context.ids may hold a single ID or a list
+      const ids = [].concat(error.context?.ids ?? error.context?.id ?? []);
+      return ids.map(id => ({
+        id: String(id),
+        message: error.message,
+        category: error.category
+      }));
+    });
+  }
+
+  // Read records in chunks of 100 via /batch/read.
+  // Returns the records found plus per-record errors (e.g. deleted or unknown IDs).
+  async batchRead(objectType, ids, properties) {
+    const results = [];
+    const errors = [];
+
+    for (let i = 0; i < ids.length; i += HubSpotAPI.OBJECT_BATCH_SIZE) {
+      const batch = ids.slice(i, i + HubSpotAPI.OBJECT_BATCH_SIZE).map(String);
+
+      try {
+        const response = await this.client.post(`/crm/v3/objects/${objectType}/batch/read`, {
+          properties,
+          inputs: batch.map(id => ({ id }))
+        });
+
+        results.push(...response.data.results);
+        errors.push(...this.getBatchErrors(response.data.errors));
+      } catch (error) {
+        logger.error(`Error batch reading ${objectType}:`, error.message);
+        batch.forEach(id => errors.push({ id, message: error.message, status: error.response?.status }));
+      }
+
+      logger.info(`📥 Read ${Math.min(i + batch.length, ids.length)}/${ids.length} ${objectType}...`);
+      await this.delay(config.settings.apiRateLimitDelay);
+    }
+
+    return { results, errors };
+  }
+
+  // Update records in chunks of 100 via /batch/update. Each input is { id, properties }.
+  // A rejected chunk is retried record by record so one invalid record doesn't fail the others.
+  async batchUpdate(objectType, inputs) {
+    const results = [];
+    const errors = [];
+
+    for (let i = 0; i < inputs.length; i += HubSpotAPI.OBJECT_BATCH_SIZE) {
+      const batch = inputs.slice(i, i + HubSpotAPI.OBJECT_BATCH_SIZE)
+        .map(input => ({ id: String(input.id), properties: input.properties }));
+
+      const outcome = await this.updateBatch(objectType, batch);
+      results.push(...outcome.results);
+      errors.push(...outcome.errors);
+
+      logger.info(`📤 Updated ${Math.min(i + batch.length, inputs.length)}/${inputs.length} ${objectType}...`);
+      await this.delay(config.settings.apiRateLimitDelay);
+    }
+
+    return { results, errors };
+  }
+
+  async updateBatch(objectType, batch) {
+    try {
+      // Not retried on timeouts or 5xx: the update may already have been applied
+      const response = await this.client.post(`/crm/v3/objects/${objectType}/batch/update`, { inputs: batch }, { retry: false });
+      return {
+        results: response.data.results,
+        errors: this.getBatchErrors(response.data.errors)
+      };
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (batch.length > 1 && status >= 400 && status < 500) {
+        logger.warn(`Batch update of ${batch.length} ${objectType} rejected (${status}) - retrying records individually`);
+        const outcome = { results: [], errors: [] };
+        for (const input of batch) {
+          const single = await this.updateBatch(objectType, [input]);
+          outcome.results.push(...single.results);
+          outcome.errors.push(...single.errors);
+        }
+        return outcome;
+      }
+
+      logger.error(`Error batch updating ${objectType}:`, error.message);
+      const message = error.response?.data?.message || error.message;
+      return {
+        results: [],
+        errors: batch.map(input => ({ id: input.id, message, status }))
+      };
+    }
+  }
+
+  // Merge objectIdToMerge into primaryObjectId via /merge and return the merged record. HubSpot moves
+  // associations over and usually keeps the most recently updated value of each property, not the
+  // primary's. Never retried on timeouts or 5xx: a merge that went through can't be sent again.
+  async mergeObjects(objectType, primaryObjectId, objectIdToMerge) {
+    const response = await this.client.post(`/crm/v3/objects/${objectType}/merge`, {
+      primaryObjectId: String(primaryObjectId),
+      objectIdToMerge: String(objectIdToMerge)
+    }, { retry: false });
+    return response.data;
+  }
+
+  async batchReadDeals(dealIds, properties) {
+    return this.batchRead('deals', dealIds, properties || await this.getPropertyNames('deals'));
+  }
+
+  async batchUpdateDeals(updates) {
+    return this.batchUpdate('deals', updates);
+  }
 }
 
 module.exports = HubSpotAPI;
@@ -0,0 +1,87 @@
+const Crosswalk = require('./crosswalk');
+const logger = require('./logger');
+
+// Crosswalk file name per object type (data/<name>-crosswalk.json)
+const CROSSWALK_NAMES = {
+  contacts: 'contact',
+  companies: 'company',
+  deals: 'deal'
+};
+
+// Persistent ActiveCampaign ↔ HubSpot record pairs for contacts, companies and deals.
+// Pairs already in the crosswalk are used first; automatic matching only runs for the rest.
+// Manual overrides: set matchedBy to 'manual' on an entry (hubspotId null means "no HubSpot record").
+class IdCrosswalk {
+  constructor(options = {}) {
+    this.options = options;
+    this.crosswalks = {};
+  }
+
+  get(objectType) {
+    if (!this.crosswalks[objectType]) {
+      this.crosswalks[objectType] = new Crosswalk(CROSSWALK_NAMES[objectType] || objectType, this.options);
+    }
+    return this.crosswalks[objectType];
+  }
+
+  // Pair records using the crosswalk, then autoMatch(unpairedAC, unpairedHubSpot) for the rest.
+  // Returns { pairs: [{ acRecord, hsRecord, matchedBy, confidence }], unmatchedActiveCampaign, unmatchedHubSpot, excludedActiveCampaign },
+  // where excludedActiveCampaign holds the unmatched records pinned to "no HubSpot record" by a manual entry.
+  matchRecords(objectType, acRecords, hubspotRecords, autoMatch) {
+    const crosswalk = this.get(objectType);
+    const hubspotById = new Map(hubspotRecords.map(record => [String(record.id), record]));
+    const pairedHubSpotIds = new Set();
+    const pairedActiveCampaignIds = new Set();
+    const excludedActiveCampaignIds = new Set();
+    const pairs = [];
+
+    const addPair = (acRecord, hsRecord, matchedBy, confidence) => {
+      pairs.push({ acRecord, hsRecord, matchedBy, confidence });
+      pairedActiveCampaignIds.add(String(acRecord.id));
+      pairedHubSpotIds.add(String(hsRecord.id));
+    };
+
+    // Manual overrides take precedence over stored automatic matches
+    const manualFirst = [...acRecords].sort((a, b) => crosswalk.isManual(b.id) - crosswalk.isManual(a.id));
+    manualFirst.forEach(acRecord => {
+      const entry = crosswalk.getEntry(acRecord.id);
+      if (!entry) return;
+
+      if (entry.matchedBy === 'manual' && !entry.hubspotId) {
+        excludedActiveCampaignIds.add(String(acRecord.id));
+        return;
+      }
+
+      const hsRecord = entry.hubspotId ? hubspotById.get(entry.hubspotId) : null;
+      if (hsRecord && !pairedHubSpotIds.has(entry.hubspotId)) {
+        addPair(acRecord, hsRecord, entry.matchedBy, entry.confidence ?? 1);
+      }
+    });
+
+    const crosswalkPairCount = pairs.length;
+    const unpairedAC = acRecords.filter(record =>
+      !pairedActiveCampaignIds.has(String(record.id)) && !excludedActiveCampaignIds.has(String(record.id))
+    );
+    const unpairedHubSpot = hubspotRecords.filter(record => !pairedHubSpotIds.has(String(record.id)));
+
+    autoMatch(unpairedAC, unpairedHubSpot).forEach(({ acRecord, hsRecord, matchedBy, confidence }) => {
+      crosswalk.set(acRecord.id, hsRecord.id, matchedBy, { confidence });
+      addPair(acRecord, hsRecord, matchedBy, confidence);
+    });
+
+    logger.info(`🔗 Paired ${pairs.length} ${objectType} (${crosswalkPairCount} from crosswalk, ${pairs.length - crosswalkPairCount} newly matched)`);
+
+    return {
+      pairs,
+      unmatchedActiveCampaign: acRecords.filter(record => !pairedActiveCampaignIds.has(String(record.id))),
+      unmatchedHubSpot: hubspotRecords.filter(record => !pairedHubSpotIds.has(String(record.id))),
+      excludedActiveCampaign: acRecords.filter(record => excludedActiveCampaignIds.has(String(record.id)))
+    };
+  }
+
+  save() {
+    Object.values(this.crosswalks).forEach(crosswalk => crosswalk.save());
+  }
+}
+
+module.exports = IdCrosswalk;
@@ -1,9 +1,12 @@
 const fs = require('fs');
 const path = require('path');
 
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
 class Logger {
-  constructor(logFile = 'logs/migration.log') {
+  constructor(logFile = 'logs/migration.log', level = process.env.LOG_LEVEL || 'info') {
     this.logFile = logFile;
+    this.level = LOG_LEVELS[level] ?? LOG_LEVELS.info;
     this.ensureLogDirectory();
   }
 
@@ -15,6 +18,10 @@ class Logger {
   }
 
   log(level, message, data = null) {
+    if (LOG_LEVELS[level] < this.level) {
+      return;
+    }
+
     const timestamp = new Date().toISOString();
     const logEntry = {
       timestamp,
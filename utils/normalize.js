@@ -0,0 +1,156 @@
+// Normalization helpers shared by the gap and duplicate analyzers
+const { parsePhoneNumberFromString, getCountries } = require('libphonenumber-js');
+const { getDomain } = require('tldts');
+const nicknames = require('../config/nicknames');
+const emailNormalization = require('../config/email-normalization');
+
+// Legal suffixes stripped from company names before matching
+const COMPANY_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'sarl', 'bv', 'nv', 'pty', 'srl', 'oy', 'ab'
+];
+
+function normalizeCompanyName(name) {
+  if (!name) return '';
+
+  const words = String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Strip trailing legal suffixes ("Acme, Inc." → "acme"), but never the whole name
+  while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ');
+}
+
+// Reduce a domain or website URL to its host name ("https://www.Acme.com/about" → "acme.com")
+function normalizeDomain(value) {
+  if (!value) return '';
+
+  const host = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#]/)[0]
+    .replace(/:\d+$/, '')
+    .replace(/^www\d*\./, '')
+    .replace(/\.$/, '');
+
+  return host.includes('.') ? host : '';
+}
+
+// Registrable domain from the public suffix list, so subdomains group with their parent
+// ("https://shop.acme.co.uk:8080/cart" → "acme.co.uk"). Also accepts email addresses.
+function registrableDomain(value) {
+  const host = normalizeDomain(String(value || '').split('@').pop());
+  if (!host) return '';
+
+  return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+// Nickname → canonical names of every group it appears in ("bob" → ["robert"], "alex" → ["alexander", "alexandra"])
+const NICKNAME_INDEX = new Map();
+nicknames.groups.forEach(group => {
+  group.forEach(name => {
+    if (!NICKNAME_INDEX.has(name)) NICKNAME_INDEX.set(name, []);
+    if (!NICKNAME_INDEX.get(name).includes(group[0])) NICKNAME_INDEX.get(name).push(group[0]);
+  });
+});
+
+function normalizePersonName(name) {
+  if (!name) return '';
+
+  return String(name)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function canonicalFirstNames(firstName) {
+  const name = normalizePersonName(firstName);
+  if (!name) return [];
+  return NICKNAME_INDEX.get(name) || [name];
+}
+
+// Normalize an email for matching: trim and lowercase, then apply config/email-normalization.js
+// (plus-addressing, domain aliases, Gmail dots). Returns '' for values that aren't email addresses.
+function normalizeEmail(email, options = emailNormalization) {
+  if (!email) return '';
+
+  const value = String(email).trim().toLowerCase();
+  const at = value.lastIndexOf('@');
+  if (at <= 0 || at === value.length - 1) return '';
+
+  let local = value.slice(0, at);
+  let domain = value.slice(at + 1);
+
+  domain = options.domainAliases?.[domain] || domain;
+  if (options.stripPlusAddressing) {
+    local = local.split('+')[0] || local;
+  }
+  if (options.foldGmailDots && domain === 'gmail.com') {
+    local = local.replace(/\./g, '');
+  }
+
+  return `${local}@${domain}`;
+}
+
+// Country names and common aliases → ISO 3166 region codes, for the free-text HubSpot `country` property
+const REGION_ALIASES = {
+  'usa': 'US',
+  'united states of america': 'US',
+  'america': 'US',
+  'uk': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'northern ireland': 'GB',
+  'great britain': 'GB'
+};
+const REGIONS_BY_NAME = new Map();
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+getCountries().forEach(region => {
+  REGIONS_BY_NAME.set(region.toLowerCase(), region);
+  REGIONS_BY_NAME.set(regionNames.of(region).toLowerCase(), region);
+});
+Object.entries(REGION_ALIASES).forEach(([name, region]) => REGIONS_BY_NAME.set(name, region));
+
+function resolveRegion(country) {
+  if (!country) return null;
+  return REGIONS_BY_NAME.get(String(country).trim().toLowerCase().replace(/\./g, '')) || null;
+}
+
+// Parse a phone number to E.164 ("020 7946 0958" in GB → "+442079460958"). The contact's country is the
+// default region for numbers without a country code, falling back to defaultRegion.
+// Returns null for empty values and { e164: null, valid: false } for numbers that can't be parsed.
+function normalizePhone(phone, country, defaultRegion) {
+  if (!phone || !String(phone).trim()) return null;
+
+  const region = resolveRegion(country) || resolveRegion(defaultRegion) || undefined;
+  const parsed = parsePhoneNumberFromString(String(phone), region);
+  if (!parsed || !parsed.isPossible()) {
+    return { e164: null, valid: false, region: region || null };
+  }
+
+  return { e164: parsed.number, valid: parsed.isValid(), region: parsed.country || region || null };
+}
+
+module.exports = {
+  COMPANY_SUFFIXES,
+  normalizeCompanyName,
+  normalizeDomain,
+  registrableDomain,
+  normalizePersonName,
+  canonicalFirstNames,
+  normalizeEmail,
+  resolveRegion,
+  normalizePhone
+};
@@ -0,0 +1,86 @@
+const Crosswalk = require('./crosswalk');
+const logger = require('./logger');
+
+// Maps ActiveCampaign users to HubSpot owners by email, persisted in data/owner-crosswalk.json.
+// Set matchedBy to 'manual' on an entry to pin an owner that can't be matched by email.
+class OwnerMapper {
+  constructor(hubspotAPI, activeCampaignAPI, options = {}) {
+    this.hubspotAPI = hubspotAPI;
+    this.activeCampaignAPI = activeCampaignAPI;
+    this.crosswalk = new Crosswalk('owner', options);
+    this.hubspotOwners = new Map();
+    this.acUsers = new Map();
+    this.unmatchedUsers = [];
+  }
+
+  async load() {
+    logger.info('👥 Mapping ActiveCampaign users to HubSpot owners...');
+
+    const [owners, users] = await Promise.all([
+      this.hubspotAPI.getOwners(),
+      this.activeCampaignAPI.getUsers()
+    ]);
+
+    owners.forEach(owner => this.hubspotOwners.set(String(owner.id), owner));
+    users.forEach(user => this.acUsers.set(String(user.id), user));
+
+    const ownersByEmail = new Map();
+    owners.forEach(owner => {
+      const email = owner.email?.toLowerCase();
+      // Prefer active owners when an archived owner shares the email
+      if (email && (!ownersByEmail.has(email) || ownersByEmail.get(email).archived)) {
+        ownersByEmail.set(email, owner);
+      }
+    });
+
+    users.forEach(user => {
+      if (this.crosswalk.isManual(user.id)) {
+        return;
+      }
+
+      const email = user.email?.toLowerCase();
+      const owner = email ? ownersByEmail.get(email) : null;
+      if (owner) {
+        this.crosswalk.set(user.id, owner.id, 'email', { email });
+      } else {
+        this.crosswalk.set(user.id, null, 'unmatched', { email: email || null });
+        this.unmatchedUsers.push({
+          id: String(user.id),
+          email: user.email,
+          name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username
+        });
+      }
+    });
+
+    if (users.length > 0) {
+      this.crosswalk.save();
+    }
+
+    logger.info(`✅ Mapped ${users.length - this.unmatchedUsers.length} of ${users.length} ActiveCampaign users to HubSpot owners`);
+    return this;
+  }
+
+  getHubSpotOwnerId(acUserId) {
+    if (!acUserId || acUserId === '0') return null;
+    return this.crosswalk.getHubSpotId(acUserId);
+  }
+
+  isMapped(acUserId) {
+    const entry = this.crosswalk.getEntry(acUserId);
+    return Boolean(entry) && entry.matchedBy !== 'unmatched';
+  }
+
+  describeHubSpotOwner(ownerId) {
+    const owner = this.hubspotOwners.get(String(ownerId));
+    if (!owner) return ownerId ? `HubSpot owner ${ownerId}` : 'none';
+    return [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email;
+  }
+
+  describeACUser(userId) {
+    const user = this.acUsers.get(String(userId));
+    if (!user) return userId && userId !== '0' ? `ActiveCampaign user ${userId}` : 'none';
+    return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || user.username;
+  }
+}
+
+module.exports = OwnerMapper;
@@ -0,0 +1,105 @@
+const { normalizeCompanyName, normalizeDomain, normalizeEmail } = require('./normalize');
+const emailNormalization = require('../config/email-normalization');
+
+// Automatic ActiveCampaign ↔ HubSpot matchers used when the ID crosswalk has no entry.
+// Each takes the unpaired records of both platforms and returns
+// [{ acRecord, hsRecord, matchedBy, confidence }] with every record used at most once.
+
+// Normalized primary email followed by the hs_additional_emails (semicolon-separated)
+function hubspotContactEmails(contact) {
+  const emails = [contact.properties.email, ...String(contact.properties.hs_additional_emails || '').split(';')]
+    .map(email => normalizeEmail(email))
+    .filter(Boolean);
+  return [...new Set(emails)];
+}
+
+// Normalized primary email followed by the secondary email custom fields
+function activeCampaignContactEmails(contact) {
+  const secondaryEmails = emailNormalization.activeCampaignSecondaryEmailFields.map(title => contact.fields?.[title]);
+  const emails = [contact.email, ...secondaryEmails]
+    .map(email => normalizeEmail(email))
+    .filter(Boolean);
+  return [...new Set(emails)];
+}
+
+// Primary emails are tried before secondary ones on both sides
+function matchContactsByEmail(acContacts, hubspotContacts) {
+  const hubspotEmails = new Map(hubspotContacts.map(contact => [contact, hubspotContactEmails(contact)]));
+  const hubspotByEmail = new Map();
+  [true, false].forEach(primaryPass => {
+    hubspotEmails.forEach((emails, contact) => {
+      (primaryPass ? emails.slice(0, 1) : emails.slice(1)).forEach(email => {
+        if (!hubspotByEmail.has(email)) hubspotByEmail.set(email, contact);
+      });
+    });
+  });
+
+  const claimed = new Set();
+  const pairs = [];
+  acContacts.forEach(acContact => {
+    const acEmails = activeCampaignContactEmails(acContact);
+    const email = acEmails.find(candidate => hubspotByEmail.has(candidate) && !claimed.has(hubspotByEmail.get(candidate)));
+    if (!email) return;
+
+    const hsContact = hubspotByEmail.get(email);
+    claimed.add(hsContact);
+    const primary = email === acEmails[0] && hubspotEmails.get(hsContact)[0] === email;
+    pairs.push({
+      acRecord: acContact,
+      hsRecord: hsContact,
+      matchedBy: primary ? 'email' : 'secondary_email',
+      confidence: primary ? 1 : 0.9
+    });
+  });
+
+  return pairs;
+}
+
+// Domain (accountUrl vs domain/website) first, then normalized name
+function matchCompaniesByDomainOrName(acAccounts, hubspotCompanies) {
+  const hubspotByDomain = new Map();
+  const hubspotByName = new Map();
+  const addToIndex = (index, key, company) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    if (!index.get(key).includes(company)) index.get(key).push(company);
+  };
+
+  hubspotCompanies.forEach(company => {
+    addToIndex(hubspotByDomain, normalizeDomain(company.properties.domain), company);
+    addToIndex(hubspotByDomain, normalizeDomain(company.properties.website), company);
+    addToIndex(hubspotByName, normalizeCompanyName(company.properties.name), company);
+  });
+
+  const claimed = new Set();
+  const findUnclaimed = candidates => (candidates || []).find(company => !claimed.has(company.id));
+
+  const pairs = [];
+  acAccounts.forEach(account => {
+    const domain = normalizeDomain(account.accountUrl);
+    const name = normalizeCompanyName(account.name);
+
+    let hsCompany = domain ? findUnclaimed(hubspotByDomain.get(domain)) : null;
+    let matchedBy = 'domain';
+    let confidence = 0.9;
+    if (!hsCompany && name) {
+      hsCompany = findUnclaimed(hubspotByName.get(name));
+      matchedBy = 'name';
+      confidence = 0.7;
+    }
+
+    if (hsCompany) {
+      claimed.add(hsCompany.id);
+      pairs.push({ acRecord: account, hsRecord: hsCompany, matchedBy, confidence });
+    }
+  });
+
+  return pairs;
+}
+
+module.exports = {
+  hubspotContactEmails,
+  activeCampaignContactEmails,
+  matchContactsByEmail,
+  matchCompaniesByDomainOrName
+};
@@ -0,0 +1,115 @@
+// String similarity scores in the range 0 (nothing in common) to 1 (identical)
+
+// Lowercase, drop punctuation and collapse whitespace
+function normalizeText(value) {
+  if (!value) return '';
+
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenize(value) {
+  const text = normalizeText(value);
+  return text ? text.split(' ') : [];
+}
+
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Edit distance relative to the longer string
+function levenshteinSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left && !right) return 0;
+
+  return 1 - levenshteinDistance(left, right) / Math.max(left.length, right.length);
+}
+
+// Dice coefficient over the sets of words, so word order doesn't matter
+function tokenSetSimilarity(a, b) {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (left.size === 0 || right.size === 0) return 0;
+
+  const shared = [...left].filter(token => right.has(token)).length;
+  return (2 * shared) / (left.size + right.size);
+}
+
+// Jaro-Winkler favours strings sharing a prefix, which suits short values like names ("jon" vs "jonathan")
+function jaroWinklerSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const window = Math.max(0, Math.floor(Math.max(left.length, right.length) / 2) - 1);
+  const leftMatches = new Array(left.length).fill(false);
+  const rightMatches = new Array(right.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < left.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, right.length);
+    for (let j = start; j < end; j++) {
+      if (!rightMatches[j] && left[i] === right[j]) {
+        leftMatches[i] = true;
+        rightMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < left.length; i++) {
+    if (!leftMatches[i]) continue;
+    while (!rightMatches[k]) k++;
+    if (left[i] !== right[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / left.length + matches / right.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, left.length, right.length) && left[prefix] === right[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Best of character-level and word-level similarity ("Acme Renewal 2024" vs "2024 Acme renewal" → 1)
+function textSimilarity(a, b) {
+  return Math.max(levenshteinSimilarity(a, b), tokenSetSimilarity(a, b));
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  levenshteinDistance,
+  levenshteinSimilarity,
+  tokenSetSimilarity,
+  jaroWinklerSimilarity,
+  textSimilarity
+};
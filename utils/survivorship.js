@@ -0,0 +1,44 @@
+// Primary record selection for duplicate clusters, shared by the golden record preview and the merge command.
+// Records are { id, createdate, hubspotscore, associations }; rule names are configured in config/merge-rules.js.
+
+// Each rule compares two records and returns < 0 when a should be the primary
+const SURVIVORSHIP_RULES = {
+  oldest_createdate: (a, b) => {
+    // Records without a createdate rank last
+    const aCreated = Date.parse(a.createdate) || Infinity;
+    const bCreated = Date.parse(b.createdate) || Infinity;
+    return aCreated === bCreated ? 0 : aCreated - bCreated;
+  },
+  highest_hubspotscore: (a, b) => (parseFloat(b.hubspotscore) || 0) - (parseFloat(a.hubspotscore) || 0),
+  most_associations: (a, b) => (b.associations || 0) - (a.associations || 0)
+};
+
+function validateRules(objectType, rules) {
+  const unknownRules = rules.filter(rule => !SURVIVORSHIP_RULES[rule]);
+  if (unknownRules.length > 0) {
+    throw new Error(`Unknown ${objectType} survivorship rules in config/merge-rules.js: ${unknownRules.join(', ')}`);
+  }
+}
+
+// Best record first; later rules only break ties left by earlier ones, then the lowest ID wins
+function rankRecords(records, rules) {
+  return [...records].sort((a, b) => {
+    for (const rule of rules) {
+      const result = SURVIVORSHIP_RULES[rule](a, b);
+      if (result !== 0) return result;
+    }
+    return Number(a.id) - Number(b.id) || String(a.id).localeCompare(String(b.id));
+  });
+}
+
+// First rule that separates the primary from the runner-up (shown to reviewers)
+function decidingRule(primary, runnerUp, rules) {
+  return rules.find(rule => SURVIVORSHIP_RULES[rule](primary, runnerUp) !== 0) || 'lowest_id';
+}
+
+module.exports = {
+  SURVIVORSHIP_RULES,
+  validateRules,
+  rankRecords,
+  decidingRule
+};